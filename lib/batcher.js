@@ -0,0 +1,62 @@
+/**
+ * Expose `Batcher`
+ */
+
+module.exports = Batcher;
+
+/**
+ * Buffer entries per key and hand them to `flush` in batches
+ *
+ * A key is flushed as soon as it holds `size` entries, or `interval` ms
+ * after its first entry was pushed, whichever comes first. Pending entries
+ * don't keep the process alive.
+ *
+ * @param {Function} flush called with `(key, entries)`
+ * @api public
+ */
+
+function Batcher(flush){
+  if (!(this instanceof Batcher)) return new Batcher(flush);
+  this.flush = flush;
+  this.queues = {};
+}
+
+/**
+ * Push `entry` onto the queue for `key`
+ *
+ * @param {String} key
+ * @param {Object} entry
+ * @param {Object} options
+ * @param {Number} options.size
+ * @param {Number} options.interval
+ * @api public
+ */
+
+Batcher.prototype.push = function(key, entry, options){
+  var queue = this.queues[key];
+
+  if (!queue) {
+    queue = this.queues[key] = { entries: [] };
+    queue.timer = setTimeout(this.drain.bind(this, key), options.interval);
+    if (queue.timer.unref) queue.timer.unref();
+  }
+
+  queue.entries.push(entry);
+  if (queue.entries.length >= options.size) this.drain(key);
+};
+
+/**
+ * Flush all entries queued for `key`
+ *
+ * @param {String} key
+ * @api public
+ */
+
+Batcher.prototype.drain = function(key){
+  var queue = this.queues[key];
+  if (!queue) return;
+
+  delete this.queues[key];
+  clearTimeout(queue.timer);
+  this.flush(key, queue.entries);
+};
@@ -0,0 +1,275 @@
+/**
+ * Module dependencies.
+ */
+
+var Emitter = require('events').EventEmitter;
+var inherits = require('util').inherits;
+var errors = require('./errors');
+var fmt = require('@segment/fmt');
+
+/**
+ * Trip once this share of the requests in a window failed by default
+ */
+
+var ERROR_RATE = 0.5;
+
+/**
+ * Don't trip on fewer requests than this in a window by default
+ */
+
+var MIN_REQUESTS = 20;
+
+/**
+ * Count requests over windows of this many ms by default
+ */
+
+var WINDOW = 60 * 1000;
+
+/**
+ * Stay open this many ms before probing Intercom again by default
+ */
+
+var COOLDOWN = 30 * 1000;
+
+/**
+ * Circuit states
+ */
+
+var CLOSED = 'closed';
+var OPEN = 'open';
+var HALF_OPEN = 'half_open';
+
+/**
+ * Expose `Breaker`
+ */
+
+module.exports = Breaker;
+
+/**
+ * Circuit breaker around the Intercom endpoint of the integration's account
+ *
+ * The circuit is kept in the store under `integration.accountId()`, shared
+ * by all workers of the account, and requests are
+ * counted per window with counters next to it. It opens once
+ * `.circuitErrorRate` of at least `.circuitMinRequests` requests within
+ * `.circuitWindow` ms failed with a server or network error. While open,
+ * requests fail fast with a `CircuitOpenError`. After `.circuitCooldown` ms
+ * it half-opens and lets a single request through to probe Intercom, which
+ * closes the circuit if it succeeds or opens it again if it fails.
+ *
+ * Emits `state` with `(from, to)` on every transition.
+ *
+ * @param {Intercom} integration
+ * @api public
+ */
+
+function Breaker(integration){
+  if (!(this instanceof Breaker)) return new Breaker(integration);
+  Emitter.call(this);
+  this.integration = integration;
+  this.key = [integration.accountId(), 'circuit'].join(':');
+}
+
+/**
+ * Inherit `Emitter`
+ */
+
+inherits(Breaker, Emitter);
+
+/**
+ * Let a request through, errors if the circuit is open
+ *
+ * @param {Function} fn
+ * @api public
+ */
+
+Breaker.prototype.before = function(fn){
+  var cooldown = this.option('circuitCooldown', COOLDOWN);
+  var self = this;
+
+  this.update(function(circuit, now){
+    if (circuit.state === CLOSED) return;
+    if (now - circuit.since < cooldown) return;
+    // Cooled down, or the last probe never came back, probe again
+    return state(HALF_OPEN, now);
+  }, function(err, circuit, changed){
+    if (err) return fn(err);
+    if (circuit.state === CLOSED || changed) return fn();
+    fn(self.opened(circuit));
+  });
+};
+
+/**
+ * Record the outcome of a request
+ *
+ * @param {Error} err
+ * @param {Function} fn
+ * @api public
+ */
+
+Breaker.prototype.after = function(err, fn){
+  var errorRate = this.option('circuitErrorRate', ERROR_RATE);
+  var minRequests = this.option('circuitMinRequests', MIN_REQUESTS);
+  var failed = err instanceof errors.ServerError || err instanceof errors.NetworkError;
+  var integration = this.integration;
+  var self = this;
+
+  this.update(function(circuit, now){
+    if (circuit.state === HALF_OPEN) return state(failed ? OPEN : CLOSED, now);
+  }, function(err, circuit, changed){
+    if (err) return done(err);
+    if (changed || circuit.state !== CLOSED) return done();
+
+    self.count(circuit, failed, function(err, counts){
+      if (err) return done(err);
+      if (counts.requests < minRequests || counts.failures / counts.requests < errorRate) return done();
+
+      self.update(function(current, now){
+        if (current.state !== CLOSED || current.since !== circuit.since) return;
+        return state(OPEN, now);
+      }, done);
+    });
+  });
+
+  function done(err){
+    if (err) integration.debug('updating the circuit failed: %s', err.message);
+    fn();
+  }
+};
+
+/**
+ * Count a request, `failed` or not, in the current window of closed `circuit`
+ *
+ * Calls `fn` with the `{ requests, failures }` of the window so far,
+ * the failures are only read back for failed requests since only those can
+ * open the circuit.
+ *
+ * @param {Object} circuit
+ * @param {Boolean} failed
+ * @param {Function} fn
+ * @api private
+ */
+
+Breaker.prototype.count = function(circuit, failed, fn){
+  var store = this.integration.store();
+  var windowSize = this.option('circuitWindow', WINDOW);
+  var index = Math.floor((Date.now() - circuit.since) / windowSize);
+  var key = [this.key, circuit.since, index].join(':');
+  var ttl = 2 * windowSize;
+
+  if (!failed) {
+    return store.incr(key + ':requests', 1, ttl, function(err, requests){
+      fn(err, { requests: requests, failures: 0 });
+    });
+  }
+
+  store.incr(key + ':failures', 1, ttl, function(err, failures){
+    if (err) return fn(err);
+    store.incr(key + ':requests', 1, ttl, function(err, requests){
+      fn(err, { requests: requests, failures: failures });
+    });
+  });
+};
+
+/**
+ * Get the error for requests made while `circuit` is open
+ *
+ * @param {Object} circuit
+ * @return {CircuitOpenError}
+ * @api public
+ */
+
+Breaker.prototype.opened = function(circuit){
+  var cooldown = this.option('circuitCooldown', COOLDOWN);
+  var retryAfter = Math.max(circuit.since + cooldown - Date.now(), 0);
+  var msg = fmt('circuit `%s` is %s, retry in %dms', this.key, circuit.state, retryAfter);
+  return new errors.CircuitOpenError(msg, 'Intercom', retryAfter);
+};
+
+/**
+ * Apply `change` to the stored circuit
+ *
+ * `change` is called with `(circuit, now)` and returns the next circuit,
+ * or nothing to leave it as is. `fn` is called with `(err, circuit, changed)`.
+ * When another worker changed the circuit first `change` is applied to theirs.
+ *
+ * @param {Function} change
+ * @param {Function} fn
+ * @api private
+ */
+
+Breaker.prototype.update = function(change, fn){
+  var store = this.integration.store();
+  var ttl = 2 * Math.max(this.option('circuitWindow', WINDOW), this.option('circuitCooldown', COOLDOWN));
+  var key = this.key;
+  var self = this;
+
+  update();
+
+  function update(){
+    store.get(key, function(err, value){
+      if (err) return fn(err);
+
+      var circuit = parse(value);
+      var next = change(circuit, Date.now());
+      if (!next) return fn(null, circuit, false);
+
+      store.cas(key, value, JSON.stringify(next), ttl, function(err, ok){
+        if (err) return fn(err);
+        if (!ok) return update();
+        if (next.state !== circuit.state) self.emit('state', circuit.state, next.state);
+        fn(null, next, true);
+      });
+    });
+  }
+};
+
+/**
+ * Get setting `name`, or `value` if it is not set
+ *
+ * @param {String} name
+ * @param {Number} value
+ * @return {Number}
+ * @api private
+ */
+
+Breaker.prototype.option = function(name, value){
+  var option = this.integration.settings[name];
+  return option == null ? value : option;
+};
+
+/**
+ * Create a circuit in state `name` since `since`
+ *
+ * @param {String} name
+ * @param {Number} since
+ * @return {Object}
+ * @api private
+ */
+
+function state(name, since){
+  return {
+    state: name,
+    since: since
+  };
+}
+
+/**
+ * Parse a stored circuit, closed if there is none or it can't be read
+ *
+ * A closed circuit that was never stored counts requests since 0, so all
+ * workers share its windows.
+ *
+ * @param {String} value
+ * @return {Object}
+ * @api private
+ */
+
+function parse(value){
+  if (!value) return state(CLOSED, 0);
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return state(CLOSED, 0);
+  }
+}
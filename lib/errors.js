@@ -0,0 +1,204 @@
+/**
+ * Module dependencies.
+ */
+
+var inherits = require('util').inherits;
+
+/**
+ * Expose errors.
+ *
+ * Every error keeps the response `status`, `body` and Intercom's `errors[]`
+ * and tells with `retryable` whether sending the message again may succeed.
+ */
+
+exports.AuthError = AuthError;
+exports.ValidationError = ValidationError;
+exports.ConflictError = ConflictError;
+exports.RateLimitError = RateLimitError;
+exports.ServerError = ServerError;
+exports.NetworkError = NetworkError;
+exports.CircuitOpenError = CircuitOpenError;
+
+/**
+ * Create the typed error for a failed request.
+ *
+ * The message stays the HTTP status text, Intercom describes failures with
+ * `{ type: 'error.list', errors: [{ code, message }] }` which is kept on `err.errors`.
+ *
+ * @param {Error} err
+ * @param {Response} res
+ * @return {Error}
+ * @api public
+ */
+
+exports.classify = function(err, res){
+  if (!err || typeof err.retryable === 'boolean') return err;
+
+  var status = err.status || (res && res.status);
+  var body = (res && res.body) || {};
+  var errors = [].concat(body.errors || []);
+  var ctx = { status: status, body: body, errors: errors };
+  var message = err.message;
+
+  if (!status) return new NetworkError(message, 'Intercom', err);
+  if (status === 401 || status === 403) return new AuthError(message, 'Intercom', ctx);
+  if (status === 409) return new ConflictError(message, 'Intercom', ctx);
+  if (status === 429) return new RateLimitError(message, 'Intercom', 0, ctx);
+  if (status >= 500) return new ServerError(message, 'Intercom', ctx);
+  return new ValidationError(message, 'Intercom', ctx);
+};
+
+/**
+ * Auth error, when the access token or api key is invalid or lacks permissions.
+ *
+ * @param {String} message
+ * @param {String} integration
+ * @param {Object} ctx
+ */
+
+function AuthError(message, integration, ctx){
+  Error.captureStackTrace(this, AuthError);
+  Error.call(this);
+  response(this, message, integration, ctx);
+  this.code = 'UNAUTHORIZED';
+  this.retryable = false;
+}
+
+/**
+ * Validation error, when Intercom rejects the data we sent.
+ *
+ * @param {String} message
+ * @param {String} integration
+ * @param {Object} ctx
+ */
+
+function ValidationError(message, integration, ctx){
+  Error.captureStackTrace(this, ValidationError);
+  Error.call(this);
+  response(this, message, integration, ctx);
+  this.code = 'VALIDATION_FAILED';
+  this.retryable = false;
+}
+
+/**
+ * Conflict error, when the data clashes with an existing resource.
+ *
+ * @param {String} message
+ * @param {String} integration
+ * @param {Object} ctx
+ */
+
+function ConflictError(message, integration, ctx){
+  Error.captureStackTrace(this, ConflictError);
+  Error.call(this);
+  response(this, message, integration, ctx);
+  this.code = 'CONFLICT';
+  this.retryable = false;
+}
+
+/**
+ * Rate limit error, when the app has no request budget left until `retryAfter`.
+ *
+ * It keeps the 429 `status` so `.retry(err)` treats it as retryable.
+ *
+ * @param {String} message
+ * @param {String} integration
+ * @param {Number} retryAfter ms to wait before retrying
+ * @param {Object} ctx
+ */
+
+function RateLimitError(message, integration, retryAfter, ctx){
+  Error.captureStackTrace(this, RateLimitError);
+  Error.call(this);
+  response(this, message, integration, ctx);
+  this.retryAfter = retryAfter;
+  this.status = 429;
+  this.code = 'RATE_LIMITED';
+  this.retryable = true;
+}
+
+/**
+ * Server error, when Intercom fails or is unavailable.
+ *
+ * @param {String} message
+ * @param {String} integration
+ * @param {Object} ctx
+ */
+
+function ServerError(message, integration, ctx){
+  Error.captureStackTrace(this, ServerError);
+  Error.call(this);
+  response(this, message, integration, ctx);
+  this.code = 'SERVER_ERROR';
+  this.retryable = true;
+}
+
+/**
+ * Network error, when we got no response at all, `cause` is the original error.
+ *
+ * @param {String} message
+ * @param {String} integration
+ * @param {Error} cause
+ */
+
+function NetworkError(message, integration, cause){
+  Error.captureStackTrace(this, NetworkError);
+  Error.call(this);
+  this.message = message;
+  this.integration = integration;
+  this.cause = cause;
+  this.errors = [];
+  this.code = 'NETWORK_ERROR';
+  this.retryable = true;
+}
+
+/**
+ * Circuit open error, when Intercom keeps failing and we stopped sending
+ * requests for `retryAfter` ms.
+ *
+ * @param {String} message
+ * @param {String} integration
+ * @param {Number} retryAfter ms to wait before retrying
+ */
+
+function CircuitOpenError(message, integration, retryAfter){
+  Error.captureStackTrace(this, CircuitOpenError);
+  Error.call(this);
+  this.message = message;
+  this.integration = integration;
+  this.retryAfter = retryAfter;
+  this.errors = [];
+  this.code = 'CIRCUIT_OPEN';
+  this.retryable = true;
+}
+
+/**
+ * Inherit `Error`.
+ */
+
+inherits(AuthError, Error);
+inherits(ValidationError, Error);
+inherits(ConflictError, Error);
+inherits(RateLimitError, Error);
+inherits(ServerError, Error);
+inherits(NetworkError, Error);
+inherits(CircuitOpenError, Error);
+
+/**
+ * Set the response details of `err`.
+ *
+ * @param {Error} err
+ * @param {String} message
+ * @param {String} integration
+ * @param {Object} ctx
+ * @api private
+ */
+
+function response(err, message, integration, ctx){
+  ctx = ctx || {};
+  err.message = message;
+  err.integration = integration;
+  err.status = ctx.status;
+  err.body = ctx.body;
+  err.errors = ctx.errors || [];
+}
@@ -9,20 +9,145 @@ var isostring = require('isostring');
 var hash = require('string-hash');
 var mapperV2 = require('./mapper-v2');
 var mapperV1 = require('./mapper-v1');
+var mapperContacts = require('./mapper-contacts');
 var time = require('unix-time');
 var extend = require('extend');
 var dot = require('obj-case');
 var tick = setImmediate;
 var is = require('is');
 var fmt = require('@segment/fmt');
-var Stats = require('dog-statsy');
+var each = require('@ndhoule/each');
+var Batch = require('batch');
+var Batcher = require('./batcher');
+var Monitor = require('./monitor');
+var Limiter = require('./limiter');
+var Breaker = require('./breaker');
+var Metrics = require('./metrics');
+var tags = require('./tags');
+var RedisStore = require('./store').RedisStore;
+var MemoryStore = require('./store').MemoryStore;
+var PENDING_JOB = require('./store').PENDING_JOB;
+var ResourceLockedError = integration.errors.ResourceLockedError;
 
 
-// FIXME: temp metrics versions
-var STATS = new Stats({
+/**
+ * Statsd agent metrics are reported to unless `.metrics` or `.statsd` are set
+ */
+
+var STATSD = {
   host: '172.17.42.1',
   port: 8125,
   prefix: 'intercom'
+};
+
+/**
+ * Locks are released after 15 seconds at the latest
+ */
+
+var LOCK_TIMEOUT = 15000;
+
+/**
+ * Intercom accepts at most 100 items per Bulk API request
+ */
+
+var MAX_BATCH_SIZE = 100;
+
+/**
+ * Intercom keeps Bulk Jobs open for 15 minutes
+ */
+
+var JOB_LIFETIME = 15 * 60 * 1000;
+
+/**
+ * Expire stored jobs this many ms before they close by default
+ */
+
+var JOB_EXPIRATION_MARGIN = 15000;
+
+/**
+ * A worker gets this many ms to create a job it claimed
+ */
+
+var JOB_CLAIM_TIMEOUT = 10000;
+
+/**
+ * Check for a job claimed by another worker every this many ms
+ */
+
+var JOB_CLAIM_INTERVAL = 200;
+
+/**
+ * Remember the audience tags sent for a user for a day
+ */
+
+var AUDIENCE_TTL = 24 * 60 * 60 * 1000;
+
+/**
+ * Base URLs of Intercom's data hosting regions
+ *
+ * https://developers.intercom.com/building-apps/docs/regional-data-hosting
+ */
+
+var REGIONS = {
+  us: 'https://api-segment.intercom.io',
+  eu: 'https://api.eu.intercom.io',
+  au: 'https://api.au.intercom.io'
+};
+
+/**
+ * Mappers that produce payloads for each supported Intercom API version
+ *
+ * https://developers.intercom.com/building-apps/docs/update-your-api-version
+ */
+
+var API_VERSIONS = {
+  '1.0': ['v1', 'v2'],
+  '1.1': ['v1', 'v2'],
+  '1.2': ['v1', 'v2'],
+  '1.3': ['v1', 'v2'],
+  '1.4': ['v1', 'v2'],
+  '2.0': ['contacts'],
+  '2.1': ['contacts'],
+  '2.2': ['contacts'],
+  '2.3': ['contacts'],
+  '2.4': ['contacts'],
+  '2.5': ['contacts'],
+  '2.6': ['contacts'],
+  '2.7': ['contacts'],
+  '2.8': ['contacts'],
+  '2.9': ['contacts'],
+  '2.10': ['contacts'],
+  '2.11': ['contacts']
+};
+
+/**
+ * API version the contacts mapper is pinned to if `.apiVersion` is not set
+ */
+
+var CONTACTS_API_VERSION = '2.0';
+
+/**
+ * What `.group()` updates through the Bulk API, see `.groupMode`
+ */
+
+var GROUP_MODES = ['user', 'company', 'both'];
+
+/**
+ * Items buffered for Bulk API requests, keyed by account and data type, see `account()`
+ */
+
+var BATCHES = new Batcher(function(key, entries){
+  var entry = entries[0];
+  entry.integration.flush(entry.dataType, entries);
+});
+
+/**
+ * Tags buffered for Tags API requests, keyed by account, tag name and whether
+ * users or companies are tagged, see `account()`
+ */
+
+var TAGS = new Batcher(function(key, entries){
+  entries[0].integration.sendTags(entries);
 });
 
 /**
@@ -30,41 +155,359 @@ var STATS = new Stats({
  */
 
 var Intercom = module.exports = integration('Intercom')
-  .endpoint('https://api-segment.intercom.io')
+  .endpoint(REGIONS.us)
   .ensure(function(msg, settings){
     if (oauthTokenExists(settings.oauth)) return;
     if (settings.apiKey && settings.appId) return;
     return this.invalid('.apiKey and .appId is required if .oauth[\'access-token\'] is absent');
   })
-  .channels(['server']);
+  .channels(['server', 'mobile']);
+
+/**
+ * Expose stores
+ */
+
+Intercom.RedisStore = RedisStore;
+Intercom.MemoryStore = MemoryStore;
+
+/**
+ * Expose errors
+ */
+
+var errors = Intercom.errors = require('./errors');
+
+/**
+ * Original `.enabled()`
+ */
+
+var enabled = Intercom.prototype.enabled;
+
+/**
+ * Only accept screen calls from mobile sources.
+ *
+ * Mobile apps send their users and events to Intercom with Intercom's own
+ * mobile SDKs, sending their identify, track or group calls from the server
+ * too would count every one of them twice.
+ *
+ * @param {Facade} msg
+ * @return {Boolean}
+ * @api public
+ */
+
+Intercom.prototype.enabled = function(msg){
+  if (msg.channel() === 'mobile' && msg.type() !== 'screen') return false;
+  return enabled.apply(this, arguments);
+};
+
+/**
+ * Original `.request()`, every request goes through the rate limiter first
+ */
+
+var request = Intercom.prototype.request;
+
+/**
+ * Ensure a known `.region` or a valid `.endpoint`.
+ */
+
+Intercom.ensure(function(msg, settings){
+  if (settings.endpoint) {
+    if (/^https:\/\/[^\/]+$/.test(settings.endpoint)) return;
+    return this.invalid('.endpoint must be an https:// url without a path');
+  }
+  if (settings.region && !REGIONS.hasOwnProperty(settings.region)) {
+    return this.invalid('.region must be one of %s', Object.keys(REGIONS).join(', '));
+  }
+});
+
+/**
+ * Ensure `.apiVersion` is supported by the mapper.
+ */
+
+Intercom.ensure(function(msg, settings){
+  var version = apiVersion(settings);
+  if (version == null) return;
+  var mappers = API_VERSIONS[version];
+  if (!mappers) {
+    return this.invalid('.apiVersion must be one of %s', Object.keys(API_VERSIONS).join(', '));
+  }
+  if (mappers.indexOf(mapperName(settings)) === -1) {
+    return this.invalid('.apiVersion %s is not supported by the %s mapper', version, mapperName(settings));
+  }
+});
+
+/**
+ * Ensure a known `.groupMode`, and that groups only removing the user
+ * from the company don't skip the user with 'company'.
+ */
+
+Intercom.ensure(function(msg, settings){
+  if (settings.groupMode != null && GROUP_MODES.indexOf(settings.groupMode) === -1) {
+    return this.invalid('.groupMode must be one of %s', GROUP_MODES.join(', '));
+  }
+  if (msg.type() !== 'group' || settings.groupMode !== 'company' || mapperName(settings) !== 'v2') return;
+  if (mapperV2.removes(msg, settings)) {
+    return this.invalid('.groupMode company can\'t remove the user from the company');
+  }
+});
+
+/**
+ * Ensure the owner is an admin id and `.ownerTrait` has admin ids to look up.
+ */
+
+Intercom.ensure(function(msg, settings){
+  var context = msg.options('Intercom') || {};
+  if (context.ownerId != null && !adminId(context.ownerId)) {
+    return this.invalid('context.Intercom.ownerId must be an admin id');
+  }
+  if (settings.ownerTrait && !is.object(settings.ownerAdmins)) {
+    return this.invalid('.ownerAdmins is required with .ownerTrait');
+  }
+  if (!is.object(settings.ownerAdmins)) return;
+  for (var value in settings.ownerAdmins) {
+    if (!adminId(settings.ownerAdmins[value])) {
+      return this.invalid('.ownerAdmins must map to admin ids, got %s for %s', settings.ownerAdmins[value], value);
+    }
+  }
+});
 
 /**
  * Ensure userId or email.
  */
 
-Intercom.ensure(function(msg){
+Intercom.ensure(function(msg, settings){
   var email = msg.proxy('traits.email') || msg.proxy('properties.email');
   var user = msg.userId();
   if (!(email || user)) {
+    if (acceptsLead(msg, settings)) return;
+    if (updatesCompanyOnly(msg, settings)) return;
     return this.invalid(".userId or .email is required");
   }
 });
 
 Intercom.prototype.initialize = function(){
   this.userAgent = 'Segment.io/1.0.0';
+  this.endpoint = baseUrl(this.settings);
   // Intercom asked us to split some users on the old version to help with load
-  if (this.settings.isBulkAPIEnabled) {
+  if (mapperName(this.settings) === 'contacts') {
+    this.identify = this.identifyContacts;
+    this.track = this.trackContacts;
+    this.group = this.groupContacts;
+    this.page = this.pageContacts;
+    this.screen = this.screenContacts;
+    this.alias = this.aliasContacts;
+    this.delete = this.deleteContacts;
+  } else if (mapperName(this.settings) === 'v2') {
     this.identify = this.identifyV2;
     this.track = this.trackV2;
     this.group = this.groupV2;
+    this.page = this.pageV2;
+    this.screen = this.screenV2;
   } else {
     this.identify = this.identifyV1;
     this.track = this.trackV1;
     this.group = this.groupV1;
+    this.page = this.pageV1;
+    this.screen = this.screenV1;
   }
 }
 
 
+/**
+ * Set / get the `store` for Bulk Jobs and locks
+ *
+ * Defaults to a `RedisStore` on `.redis()`, set a `MemoryStore`
+ * for single worker deployments.
+ *
+ * @param {Object} store
+ * @return {Object|Intercom}
+ * @api public
+ */
+
+Intercom.prototype.store = function(store){
+  if (arguments.length === 1) {
+    this.jobStore = store;
+    return this;
+  }
+
+  return this.jobStore || new RedisStore(this.redis());
+};
+
+/**
+ * Get the id of the account of this integration, to key what it shares
+ * with other integrations of the account in the store
+ *
+ * `.appId` is optional with an OAuth token, so accounts are told apart by
+ * their credentials and endpoint instead, see `account()`.
+ *
+ * @return {String}
+ * @api public
+ */
+
+Intercom.prototype.accountId = function(){
+  return String(hash(account(this)));
+};
+
+/**
+ * Get the `Limiter` sharing this account's rate limit budget between workers
+ *
+ * @return {Limiter}
+ * @api public
+ */
+
+Intercom.prototype.limiter = function(){
+  if (!this.rateLimiter) this.rateLimiter = new Limiter(this);
+  return this.rateLimiter;
+};
+
+/**
+ * Set / get the `Metrics` of this integration
+ *
+ * Reports to `.metrics` if it's set, a statsd client, function or emitter,
+ * or to a statsd client for `.statsd.host` and `.statsd.port`, see `Metrics`.
+ * Without either it reports to the statsd agent it always reported to.
+ *
+ * @param {Object|Function} sink
+ * @return {Metrics|Intercom}
+ * @api public
+ */
+
+Intercom.prototype.metrics = function(sink){
+  if (arguments.length === 1) {
+    this.metricsClient = new Metrics(sink);
+    return this;
+  }
+
+  if (!this.metricsClient) {
+    var statsd = this.settings.statsd;
+    sink = this.settings.metrics || Metrics.statsd(statsd && statsd.host ? statsd : STATSD);
+    this.metricsClient = new Metrics(sink);
+  }
+
+  return this.metricsClient;
+};
+
+/**
+ * Get the function counting attributes the mapper drops for `method`
+ *
+ * @param {String} method
+ * @return {Function}
+ * @api private
+ */
+
+Intercom.prototype.dropped = function(method){
+  var metrics = this.metrics();
+  var tags = ['method:' + method, 'version:' + version(this.settings)];
+  return function(){
+    metrics.incr('mapper_dropped', 1, tags);
+  };
+};
+
+/**
+ * Get the `Breaker` guarding the Intercom endpoint for this account
+ *
+ * @return {Breaker}
+ * @api public
+ */
+
+Intercom.prototype.breaker = function(){
+  if (this.circuitBreaker) return this.circuitBreaker;
+  var breaker = this.circuitBreaker = new Breaker(this);
+
+  var metrics = this.metrics();
+
+  breaker.on('state', function(from, to){
+    metrics.incr('circuit', 1, ['from:' + from, 'to:' + to]);
+  });
+
+  return breaker;
+};
+
+/**
+ * Create a request that fails fast while the circuit is open, waits for the
+ * rate limit budget before it is sent and fails with typed errors,
+ * see `errors.classify()`, 429s with a retry-after hint
+ *
+ * @param {String} method
+ * @param {String} path
+ * @return {Request}
+ * @api private
+ */
+
+Intercom.prototype.request = function(method, path){
+  var req = request.call(this, method, path);
+  var breaker = this.breaker();
+  var limiter = this.limiter();
+  var metrics = this.metrics();
+  var tags = ['http_method:' + method, 'endpoint:' + endpoint(path), 'version:' + version(this.settings)];
+  var end = req.end;
+
+  req.end = function(fn){
+    fn = fn || noop;
+    breaker.before(function(err){
+      if (err) return fn(err);
+      limiter.take(function(err){
+        if (err) return fn(err);
+        var start = Date.now();
+        end.call(req, function(err, res){
+          var status = (res && res.status) || (err && err.status) || 'none';
+          metrics.histogram('request_latency', Date.now() - start, tags.concat('status:' + status));
+          metrics.incr('response', 1, tags.concat('status:' + status));
+          err = errors.classify(err, res);
+          if (err && err.status === 429) err.retryAfter = retryAfter(res);
+          limiter.update(res, function(){
+            breaker.after(err, function(){
+              fn(err, res);
+            });
+          });
+        });
+      });
+    });
+    return req;
+  };
+
+  return req;
+};
+
+/**
+ * Lock `key` in the store
+ *
+ * @param {String} key
+ * @param {Number} timeout
+ * @param {Function} fn
+ * @api public
+ */
+
+Intercom.prototype.lock = function(key, timeout, fn){
+  if (fn === undefined) {
+    fn = timeout;
+    timeout = LOCK_TIMEOUT;
+  }
+
+  var tags = ['version:' + version(this.settings)];
+  var metrics = this.metrics();
+  var start = Date.now();
+  this.store().lock([this.name, key].join(':'), timeout, function(err){
+    metrics.histogram('lock_wait', Date.now() - start, tags.concat('locked:' + !!err));
+    fn.apply(null, arguments);
+  });
+};
+
+/**
+ * Unlock `key` in the store
+ *
+ * @param {String} key
+ * @param {Function} fn
+ * @api public
+ */
+
+Intercom.prototype.unlock = function(key, fn){
+  var self = this;
+  this.store().unlock([this.name, key].join(':'), function(err){
+    if (err) self.emit('unlock error', err);
+    return fn();
+  });
+};
+
 /**
  * Identify a user in intercom
  *
@@ -77,20 +520,23 @@ Intercom.prototype.initialize = function(){
 
 Intercom.prototype.identifyV2 = function(identify, fn){
   // custom metric
-  STATS.incr('called', 1, ['method:identify', 'version:2']);
-  var id = identify.userId() || identify.email();
+  this.metrics().incr('called', 1, ['method:identify', 'version:2']);
+  fn = this.tagged(identify, fn);
+  var id = identify.userId() || identify.email() || identify.anonymousId();
   var key = [this.settings.appId, id].join(':');
   var self = this;
   var options = this.settings;
+  // https://developers.intercom.com/reference#create-lead
+  var endpoint = mapperV2.isLead(identify, options) ? '/contacts' : '/users';
 
   this.lock(key, function(err){
     if (err) return fn(err);
     return self
-      .post('/users')
+      .post(endpoint)
       .set(self.headers())
       .type('json')
       .accept('json')
-      .send(mapperV2.identify(identify, options))
+      .send(mapperV2.identify(identify, options, self.dropped('identify')))
       .end(self.handle(function(err, res){
         self.unlock(key, function(){
           fn(err, res);
@@ -113,6 +559,9 @@ Intercom.prototype.identifyV2 = function(identify, fn){
  * 3) Otherwise create a new job, save jobId in redis with expiration
  * 4) Error handle in case we try to add to an invalid job
  *
+ * Depending on `.groupMode` we attach the user to the company as above ('user', the default),
+ * upsert the company itself through the companies endpoint ('company') or do both, company first ('both').
+ *
  * @param {Group} group
  * @param {Function} fn
  * @api public
@@ -120,7 +569,8 @@ Intercom.prototype.identifyV2 = function(identify, fn){
 
 Intercom.prototype.groupV2 = function(group, fn){
   // custom metric
-  STATS.incr('called', 1, ['method:group', 'version:2']);
+  this.metrics().incr('called', 1, ['method:group', 'version:2']);
+  fn = this.tagged(group, fn);
   var traits = group.traits();
   var id = group.userId() || group.email();
   // We are locking separately from `.identify()` calls by adding 'groups'
@@ -128,27 +578,30 @@ Intercom.prototype.groupV2 = function(group, fn){
   // If there is no profile yet for this message's userId, it will create it under
   // the ensured `userId` field, and a later `.identify()` call with the user's traits will be updated
   var key = [this.settings.appId, 'groups', id].join(':');
+  var companyKey = [this.settings.appId, 'companies', group.groupId()].join(':');
+  var mode = this.settings.groupMode || 'user';
   var self = this;
 
-  this.lock(key, function(err){
-    if (err) return fn(err);
-    var redis = self.redis();
-    var jobKey = [self.settings.appId, 'jobs', 'users', id].join(':');
-
-    redis.get(jobKey, function(err, jobId){
-      if (err) {
-        return self.unlock(key, function(){
-          return fn(err);
-        });
-      }
+  if (mode === 'user') return attach();
 
-      if (jobId) {
-        self.addToExisting(jobId, group, key, fn);
-      } else {
-        self.createNewJob(group, key, fn);
-      }
+  // Lock the company so concurrent calls don't overwrite each other's attributes
+  this.lock(companyKey, function(err){
+    if (err) return fn(err);
+    var company = mapperV2.company(group, self.settings, self.dropped('group'));
+    self.upsertCompany(null, company, function(err, res){
+      self.unlock(companyKey, function(){
+        if (err || mode === 'company') return fn(err, res);
+        attach();
+      });
     });
   });
+
+  function attach(){
+    self.lock(key, function(err){
+      if (err) return fn(err);
+      self.enqueue(group, key, fn);
+    });
+  }
 };
 
 /**
@@ -163,6 +616,8 @@ Intercom.prototype.groupV2 = function(group, fn){
  *
  * Note: Jobs stay open for 15 minutes but messages are processed right away
  *
+ * Events of leads are not sent through the Bulk API, see `.trackLead()`
+ *
  * @param {Track} track
  * @param {Function} fn
  * @api public
@@ -170,8 +625,9 @@ Intercom.prototype.groupV2 = function(group, fn){
 
 Intercom.prototype.trackV2 = function(event, fn){
   // custom metric
-  STATS.incr('called', 1, ['method:track', 'version:2']);
-  var id = event.userId() || event.email();
+  this.metrics().incr('called', 1, ['method:track', 'version:2']);
+  fn = this.noted(event, fn);
+  var id = event.userId() || event.email() || event.anonymousId();
   // We are locking with the same key as `.identify()` calls to ensure that
   // as long as we receive `.identify()` first, we won't have race condition issues
   // with `.track()` calls
@@ -180,198 +636,1381 @@ Intercom.prototype.trackV2 = function(event, fn){
 
   this.lock(key, function(err){
     if (err) return fn(err);
-    var redis = self.redis();
-    var jobKey = [self.settings.appId, 'jobs', 'events', id].join(':');
-
-    // Check redis for existing job since we don't want to create
-    // a new job per event
-    redis.get(jobKey, function(err, jobId){
-      if (err) {
-        return self.unlock(key, function(){
-          return fn(err);
-        });
-      }
-
-      if (jobId) {
-        self.addToExisting(jobId, event, key, fn);
-      } else {
-        self.createNewJob(event, key, fn);
-      }
-    });
+    if (mapperV2.isLead(event, self.settings)) return self.trackLead(event, key, fn);
+    self.enqueue(event, key, fn);
   });
 };
 
 /**
- * Make a request to add to an existing Bulk Job and then unlock
+ * Submit `track` as an event of its lead
  *
- * https://developers.intercom.com/reference#adding-to-a-bulk-job
+ * The Bulk API only knows users, so lead events are submitted one by one with
+ * the lead's Intercom `id`. We get it by upserting the lead, keyed by its anonymousId
+ * as in `.identify()`, so events of visitors we haven't seen yet aren't lost.
+ * Expects `key` to be locked and unlocks it once done.
+ *
+ * https://developers.intercom.com/v1.4/reference#create-lead
+ * https://developers.intercom.com/v1.4/reference#submitting-events
  *
  * @api private
- * @param {String} jobId
+ * @param {Track} track
  * @param {String} key
- * @param {Facade} msg
  * @param {Function} fn
  */
 
-Intercom.prototype.addToExisting = function(jobId, msg, key, fn){
+Intercom.prototype.trackLead = function(track, key, fn){
   var self = this;
-  var dataType = (msg.action() === 'track') ? 'events' : 'users';
-  var endpoint = fmt('/bulk/%s', dataType);
-  var data = mapperV2[msg.action()](msg, this.settings);
-  data.job = { id: jobId };
 
-  return this
-    .post(endpoint)
+  this
+    .post('/contacts')
     .set(this.headers())
     .type('json')
     .accept('json')
-    .send(data)
-    .end(self.handle(function(err, res){
-      // If for some reason we couldn't add to an existing job,
-      // just create a new one & store in redis
-      if (err) return self.createNewJob(msg, key, fn);
-
-      self.unlock(key, function(){
-        return fn(err, res);
-      });
+    .send({ user_id: track.anonymousId() })
+    .end(this.handle(function(err, res){
+      if (err) return done(err, res);
+      self
+        .post('/events')
+        .set(self.headers())
+        .type('json')
+        .accept('json')
+        .send(mapperV2.leadEvent(track, self.settings, res.body.id, self.dropped('track')))
+        .end(self.handle(done));
     }));
+
+  function done(err, res){
+    self.unlock(key, function(){
+      fn(err, res);
+    });
+  }
 };
 
 /**
- * Make a request to create a new Bulk Job
- * Store jobId in redis and set expiration
+ * Send the screen as an event via Bulk Event API
  *
- * https://developers.intercom.com/reference#bulk-apis
+ * Uses the same job logic and lock key as `.track()`
  *
- * @api private
- * @param {Facade} msg
+ * @param {Screen} screen
+ * @param {Function} fn
+ * @api public
+ */
+
+Intercom.prototype.screenV2 = function(screen, fn){
+  // custom metric
+  this.metrics().incr('called', 1, ['method:screen', 'version:2']);
+  var id = screen.userId() || screen.email();
+  var key = [this.settings.appId, id].join(':');
+  var self = this;
+
+  this.lock(key, function(err){
+    if (err) return fn(err);
+    self.enqueue(screen, key, fn);
+  });
+};
+
+/**
+ * Record a page view on the user via `/users` and, if configured,
+ * send a "Viewed X Page" event through the Bulk Event API
+ *
+ * We lock with the same key as `.identify()` and `.track()` so page views
+ * can't race with either of them. The lock is held until the event is sent,
+ * its note, see `.noted()`, is added after like for `.trackV2()`.
+ *
+ * @param {Page} page
+ * @param {Function} fn
+ * @api public
+ */
+
+Intercom.prototype.pageV2 = function(page, fn){
+  // custom metric
+  this.metrics().incr('called', 1, ['method:page', 'version:2']);
+  var id = page.userId() || page.email();
+  var key = [this.settings.appId, id].join(':');
+  var event = pageEvent(page, this.settings);
+  var self = this;
+  var options = this.settings;
+
+  this.lock(key, function(err){
+    if (err) return fn(err);
+    return self
+      .post('/users')
+      .set(self.headers())
+      .type('json')
+      .accept('json')
+      .send(mapperV2.page(page, options))
+      .end(self.handle(function(err, res){
+        if (err || !event) {
+          return self.unlock(key, function(){
+            fn(err, res);
+          });
+        }
+
+        self.enqueue(event, key, self.noted(event, fn));
+      }));
+  });
+};
+
+/**
+ * Add `msg` to the open Bulk Job for its user or create a new one
+ * Expects `key` to be locked and unlocks it once done
+ *
+ * If `.isBatchingEnabled`, `msg` is buffered with other messages of
+ * the same data type instead and sent along with them, see `.buffer()`
+ *
+ * @api private
+ * @param {Facade} msg
  * @param {String} key
  * @param {Function} fn
  */
 
-Intercom.prototype.createNewJob = function(msg, key, fn){
-  var self = this
-  var id = msg.userId() || msg.email();
-  var dataType = (msg.action() === 'track') ? 'events' : 'users';
-  var endpoint = fmt('/bulk/%s', dataType);
-  var jobKey = [this.settings.appId, 'jobs', dataType, id].join(':');
+Intercom.prototype.enqueue = function(msg, key, fn){
+  var self = this;
+  var id = msg.userId() || msg.email() || msg.anonymousId();
+  var dataType = jobType(msg);
+  var jobKey = [this.settings.appId, 'jobs', dataType, id].join(':');
+  var data = mapperV2[msg.action()](msg, this.settings, this.dropped(msg.action()));
+
+  var messageIds = [msg.proxy('messageId')];
+
+  // Buffered items are sent in order, so we can let go of the lock right away
+  if (this.settings.isBatchingEnabled) {
+    this.buffer(dataType, data.items, messageIds, fn);
+    return this.unlock(key, function(){});
+  }
+
+  this.sendToJob(dataType, jobKey, data, messageIds, function(err, res){
+    self.unlock(key, function(){
+      fn(err, res);
+    });
+  });
+};
+
+/**
+ * Buffer bulk `items` until there are enough of them to send as one request
+ *
+ * Items are buffered per account, see `account()`, and data type and sent once
+ * there are `.batchSize` of them (at most 100, Intercom's limit per request) or
+ * `.batchInterval` ms after the first one was buffered.
+ *
+ * Intercom accepts or rejects a Bulk API request as a whole, so `fn` gets the
+ * outcome of the request, shared by every item in it. Items Intercom fails to
+ * process later are reported one by one by the monitor, see `.monitor()`.
+ *
+ * @api private
+ * @param {String} dataType
+ * @param {Array} items
+ * @param {Array} messageIds
+ * @param {Function} fn called with the outcome of the request the items were sent in
+ */
+
+Intercom.prototype.buffer = function(dataType, items, messageIds, fn){
+  var key = [account(this), dataType].join(':');
+  var size = Math.min(this.settings.batchSize || MAX_BATCH_SIZE, MAX_BATCH_SIZE);
+
+  BATCHES.push(key, {
+    integration: this,
+    dataType: dataType,
+    items: items,
+    messageIds: messageIds,
+    fn: fn
+  }, {
+    size: size,
+    interval: this.settings.batchInterval || 1000
+  });
+};
+
+/**
+ * Send buffered `entries` as a single Bulk API request
+ *
+ * Batches span multiple users, so they share one open job per account and data type,
+ * see `.accountId()`.
+ * Every entry was buffered by an integration of the same account, so any of them
+ * can send the batch.
+ *
+ * @api private
+ * @param {String} dataType
+ * @param {Array} entries
+ */
+
+Intercom.prototype.flush = function(dataType, entries){
+  var jobKey = [this.accountId(), 'jobs', dataType].join(':');
+  var data = { items: [] };
+  var messageIds = [];
+
+  each(function(entry){
+    data.items = data.items.concat(entry.items);
+    messageIds = messageIds.concat(entry.messageIds);
+  }, entries);
+
+  this.sendToJob(dataType, jobKey, data, messageIds, function(err, res){
+    each(function(entry){
+      entry.fn(err, res);
+    }, entries);
+  });
+};
+
+/**
+ * Send bulk `data` to the open job stored under `jobKey` or to a new one
+ *
+ * 1) Lookup in the store if there is an existing job
+ * 2) If exists, add to the job
+ * 3) Otherwise create a new job, save jobId in the store with expiration
+ * 4) Error handle in case we try to add to an invalid job
+ * 5) Remember which messages the items were sent for, see `.monitor()`
+ *
+ * @api private
+ * @param {String} dataType
+ * @param {String} jobKey
+ * @param {Object} data
+ * @param {Array} messageIds same order as `data.items`
+ * @param {Function} fn
+ */
+
+Intercom.prototype.sendToJob = function(dataType, jobKey, data, messageIds, fn){
+  var self = this;
+
+  // Check the store for existing job since we don't want to create
+  // a new job per message
+  this.claimJob(jobKey, null, function(err, jobId){
+    if (err) return fn(err);
+
+    if (jobId) {
+      self.addToExisting(jobId, dataType, jobKey, data, sent);
+    } else {
+      self.createNewJob(dataType, jobKey, data, sent);
+    }
+  });
+
+  function sent(err, res){
+    if (err) return fn(err, res);
+    self.monitor().record(res.body.id, data.items, messageIds, function(){
+      fn(err, res);
+    });
+  }
+};
+
+/**
+ * Get the job stored under `jobKey` or claim it to create a new job
+ *
+ * Workers race for creating jobs, so the claim is a compare-and-set on `jobKey`:
+ * only one worker gets to create the job and everyone else waits for it to be
+ * stored and adds to it, instead of creating a job each and overwriting each other.
+ *
+ * `staleJobId` is a job we failed to add to, it may be claimed for replacement.
+ * Calls `fn` with the job to add to or with no job if we have to create one.
+ *
+ * @api private
+ * @param {String} jobKey
+ * @param {String} staleJobId
+ * @param {Function} fn
+ */
+
+Intercom.prototype.claimJob = function(jobKey, staleJobId, fn){
+  var store = this.store();
+  var attempts = JOB_CLAIM_TIMEOUT / JOB_CLAIM_INTERVAL;
+
+  claim();
+
+  function claim(){
+    store.get(jobKey, function(err, jobId){
+      if (err) return fn(err);
+
+      // Another worker is creating the job, wait for it
+      if (jobId === PENDING_JOB) {
+        if (!attempts--) return fn(new ResourceLockedError(fmt('job `%s` is pending', jobKey), 'Intercom'));
+        return setTimeout(claim, JOB_CLAIM_INTERVAL);
+      }
+
+      if (jobId && jobId !== staleJobId) return fn(null, jobId);
+
+      store.cas(jobKey, jobId, PENDING_JOB, JOB_CLAIM_TIMEOUT, function(err, ok){
+        if (err) return fn(err);
+        if (ok) return fn(null, null);
+        // Another worker got there first, use their job
+        claim();
+      });
+    });
+  }
+};
+
+/**
+ * Get the `Monitor` for this integration's Bulk Jobs
+ *
+ * Emits `failure` for every item Intercom failed to process, once the
+ * job is done and has been checked, every `.monitorInterval` ms or
+ * with `.check(jobId)` or `.poll(jobKeys)`.
+ *
+ * @return {Monitor}
+ * @api public
+ */
+
+Intercom.prototype.monitor = function(){
+  if (this.jobMonitor) return this.jobMonitor;
+  var monitor = this.jobMonitor = new Monitor(this);
+
+  var metrics = this.metrics();
+
+  monitor.on('job', function(job){
+    metrics.incr('job_checked', 1, ['state:' + job.state]);
+  });
+
+  monitor.on('failure', function(failure){
+    metrics.incr('job_item_failed', 1, ['data_type:' + failure.dataType]);
+  });
+
+  return monitor;
+};
+
+/**
+ * Make a request to add to an existing Bulk Job
+ *
+ * https://developers.intercom.com/reference#adding-to-a-bulk-job
+ *
+ * @api private
+ * @param {String} jobId
+ * @param {String} dataType
+ * @param {String} jobKey
+ * @param {Object} data
+ * @param {Function} fn
+ */
+
+Intercom.prototype.addToExisting = function(jobId, dataType, jobKey, data, fn){
+  var self = this;
+  var endpoint = fmt('/bulk/%s', dataType);
+
+  return this
+    .post(endpoint)
+    .set(this.headers())
+    .type('json')
+    .accept('json')
+    .send(extend({ job: { id: jobId } }, data))
+    .end(self.handle(function(err, res){
+      if (!err) {
+        self.metrics().incr('job', 1, ['action:reused', 'data_type:' + dataType]);
+        return fn(err, res);
+      }
+
+      // If for some reason we couldn't add to an existing job,
+      // just create a new one & store it, unless another worker already did
+      self.claimJob(jobKey, jobId, function(err, newJobId){
+        if (err) return fn(err);
+        if (newJobId) return self.addToExisting(newJobId, dataType, jobKey, data, fn);
+        self.createNewJob(dataType, jobKey, data, fn);
+      });
+    }));
+};
+
+/**
+ * Make a request to create a new Bulk Job
+ * Store jobId in the store and set expiration
+ *
+ * Expects `jobKey` to be claimed, see `.claimJob()`
+ *
+ * https://developers.intercom.com/reference#bulk-apis
+ *
+ * @api private
+ * @param {String} dataType
+ * @param {String} jobKey
+ * @param {Object} data
+ * @param {Function} fn
+ */
+
+Intercom.prototype.createNewJob = function(dataType, jobKey, data, fn){
+  var self = this
+  var endpoint = fmt('/bulk/%s', dataType);
+
+  return this
+    .post(endpoint)
+    .set(this.headers())
+    .type('json')
+    .accept('json')
+    .send(data)
+    .end(self.handle(function(err, res){
+      // Release our claim so other workers don't wait for a job that never comes
+      if (err) {
+        return self.store().del([jobKey], function(){
+          fn(err, res);
+        });
+      }
+
+      self.metrics().incr('job', 1, ['action:created', 'data_type:' + dataType]);
+
+      // Store jobId in place of our claim
+      // Expire it `.jobExpirationMargin` ms (15s by default) before Intercom closes the job,
+      // we want to add a buffer for more reliability && higher success rate
+      var job = res.body;
+      var expiration = jobExpiration(job, self.settings);
+
+      // Job is about to close, don't bother reusing it
+      if (expiration <= 0) {
+        return self.store().del([jobKey], function(){
+          fn(err, res);
+        });
+      }
+
+      self.store().set(jobKey, job.id, expiration, function(fail, ok){
+        // return original success response from Intercom Bulk API for better tests
+        return fn(err, res);
+      });
+    }));
+};
+
+/**
+ * Identify a user in intercom
+ *
+ * https://doc.intercom.io/api/#create-or-update-user
+ *
+ * @param {Identify} identify
+ * @param {Function} fn
+ * @api public
+ */
+
+Intercom.prototype.identifyV1 = function(identify, fn){
+  // custom metric
+  this.metrics().incr('called', 1, ['method:identify', 'version:1']);
+  fn = this.tagged(identify, fn);
+  var id = identify.userId() || identify.email();
+  var key = [this.settings.appId, id].join(':');
+  var self = this;
+  var options = this.settings;
+
+  this.lock(key, function(err){
+    if (err) return fn(err);
+    return self
+      .post('/users')
+      .set(self.headers())
+      .type('json')
+      .accept('json')
+      .send(mapperV1.identify(identify, options, self.dropped('identify')))
+      .end(self.handle(function(err, res){
+        self.unlock(key, function(){
+          fn(err, res);
+        });
+      }));
+  });
+};
+
+/**
+ * Group in two steps - company and then user
+ *
+ * @param {Group} group
+ * @param {Function} fn
+ * @api public
+ */
+
+Intercom.prototype.groupV1 = function(group, fn){
+  this.metrics().incr('called', 1, ['method:group', 'version:1']);
+  fn = this.tagged(group, fn);
+  var json = group.json();
+  var traits = json.traits || {};
+  var self = this;
+  var options = this.settings;
+
+  return this
+    .post('/companies')
+    .set(self.headers())
+    .type('json')
+    .accept('json')
+    .send(mapperV1.group(group, options, this.dropped('group')))
+    .end(this.handle(function(err){
+      if (err) return fn(err);
+      json.userId = group.userId();
+      // Tags and the owner of the group are the company's, not the user's
+      each(function(option){
+        dot.del(json, 'context.Intercom.' + option);
+        dot.del(json, 'integrations.Intercom.' + option);
+      }, ['tags', 'ownerId']);
+      traits.id = group.groupId();
+      if (options.groupRemoveTrait) dot.del(traits, options.groupRemoveTrait);
+      if (options.tagsTrait) dot.del(traits, options.tagsTrait);
+      if (mapperV1.removes(group, options)) traits.remove = true;
+      json.traits = { companies: [traits] };
+      var identify = new Identify(json);
+      self.identify(identify, fn);
+    }));
+};
+
+/**
+ * Track the user's action
+ *
+ * @param {Track} track
+ * @param {Function} fn
+ * @api public
+ */
+
+Intercom.prototype.trackV1 = function(track, fn) {
+  this.metrics().incr('called', 1, ['method:track', 'version:1']);
+  return this.eventV1(track, this.noted(track, fn));
+};
+
+/**
+ * Submit `track` as an event
+ *
+ * @api private
+ * @param {Track} track
+ * @param {Function} fn
+ */
+
+Intercom.prototype.eventV1 = function(track, fn){
+  var options = this.settings;
+
+  return this
+    .post('/events')
+    .set(this.headers())
+    .type('json')
+    .accept('json')
+    .send(mapperV1.track(track, options, this.dropped('track')))
+    .end(this.handle(fn));
+};
+
+/**
+ * Send the screen as an event
+ *
+ * @param {Screen} screen
+ * @param {Function} fn
+ * @api public
+ */
+
+Intercom.prototype.screenV1 = function(screen, fn){
+  this.metrics().incr('called', 1, ['method:screen', 'version:1']);
+  var options = this.settings;
+
+  return this
+    .post('/events')
+    .set(this.headers())
+    .type('json')
+    .accept('json')
+    .send(mapperV1.screen(screen, options, this.dropped('screen')))
+    .end(this.handle(fn));
+};
+
+/**
+ * Record a page view on the user and, if configured, track it as an event
+ *
+ * We lock with the same key as `.identify()` so page views can't race with it.
+ * The lock is held until the event and its note, see `.noted()`, are sent.
+ *
+ * @param {Page} page
+ * @param {Function} fn
+ * @api public
+ */
+
+Intercom.prototype.pageV1 = function(page, fn){
+  this.metrics().incr('called', 1, ['method:page', 'version:1']);
+  var id = page.userId() || page.email();
+  var key = [this.settings.appId, id].join(':');
+  var event = pageEvent(page, this.settings);
+  var self = this;
+  var options = this.settings;
+
+  this.lock(key, function(err){
+    if (err) return fn(err);
+    return self
+      .post('/users')
+      .set(self.headers())
+      .type('json')
+      .accept('json')
+      .send(mapperV1.page(page, options))
+      .end(self.handle(function(err, res){
+        if (err || !event) return done(err, res);
+        self.eventV1(event, self.noted(event, done, key));
+      }));
+  });
+
+  function done(err, res){
+    self.unlock(key, function(){
+      fn(err, res);
+    });
+  }
+};
+
+/**
+ * Merge the lead created for an anonymous visitor into the identified user
+ *
+ * https://developers.intercom.com/reference#convert-a-lead
+ *
+ * 1) Lookup the lead whose `user_id` is the alias' `previousId`
+ * 2) If there is none, there is nothing to merge
+ * 3) Otherwise convert the lead into the user with `userId`,
+ *    Intercom merges it into the user if they already exist
+ *
+ * We lock with the same key as `.identify()` so a concurrent `.identify()`
+ * can't create the user while we're converting the lead.
+ *
+ * @param {Alias} alias
+ * @param {Function} fn
+ * @api public
+ */
+
+Intercom.prototype.alias = function(alias, fn){
+  // custom metric
+  this.metrics().incr('called', 1, ['method:alias']);
+  var previousId = alias.previousId();
+  var userId = alias.userId();
+  var key = [this.settings.appId, userId].join(':');
+  var self = this;
+
+  if (!previousId) return tick(fn);
+
+  this.lock(key, function(err){
+    if (err) return fn(err);
+    return self
+      .get('/contacts')
+      .set(self.headers())
+      .query({ user_id: previousId })
+      .accept('json')
+      .end(self.handle(function(err, res){
+        // No lead for this visitor, so nothing to merge
+        if (err && err.status === 404) err = null;
+        if (err || !res.body || !res.body.id) {
+          return self.unlock(key, function(){
+            fn(err, res);
+          });
+        }
+
+        self
+          .post('/contacts/convert')
+          .set(self.headers())
+          .type('json')
+          .accept('json')
+          .send({
+            contact: { user_id: previousId },
+            user: { user_id: userId }
+          })
+          .end(self.handle(function(err, res){
+            self.unlock(key, function(){
+              fn(err, res);
+            });
+          }));
+      }));
+  });
+};
+
+/**
+ * Permanently delete a user from Intercom, e.g. for GDPR/CCPA requests
+ *
+ * `DELETE /users` only archives users, erasing them takes a user delete
+ * request with their Intercom id:
+ *
+ * 1) Lookup the user with `GET /users`
+ * 2) If there is none, there is nothing to delete
+ * 3) Otherwise `POST /user_delete_requests` with their `intercom_user_id`
+ *
+ * Users are looked up by `userId` and fall back on `email`, same as
+ * every other call. We also remove the user's open Bulk Jobs from the store
+ * so later calls don't get added to jobs for the deleted user.
+ *
+ * Deleting a user that doesn't exist is not an error, the response is the
+ * lookup's 404 then.
+ *
+ * @param {Delete} msg
+ * @param {Function} fn
+ * @api public
+ */
+
+Intercom.prototype.delete = function(msg, fn){
+  // custom metric
+  this.metrics().incr('called', 1, ['method:delete']);
+  var userId = msg.userId();
+  var email = msg.proxy('traits.email') || msg.proxy('properties.email');
+  var id = userId || email;
+  var key = [this.settings.appId, id].join(':');
+  var query = userId ? { user_id: userId } : { email: email };
+  var jobKeys = [
+    [this.settings.appId, 'jobs', 'events', id].join(':'),
+    [this.settings.appId, 'jobs', 'users', id].join(':')
+  ];
+  var self = this;
+
+  this.lock(key, function(err){
+    if (err) return fn(err);
+    return self
+      .get('/users')
+      .set(self.headers())
+      .query(query)
+      .accept('json')
+      .end(self.handle(function(err, res){
+        if (err && err.status === 404) return done(null, res, false);
+        if (err) return done(err, res);
+        self
+          .post('/user_delete_requests')
+          .set(self.headers())
+          .type('json')
+          .accept('json')
+          .send({ intercom_user_id: res.body.id })
+          .end(self.handle(function(err, res){
+            done(err, res, true);
+          }));
+      }));
+  });
+
+  function done(err, res, existed){
+    if (err) {
+      return self.unlock(key, function(){
+        fn(err, res);
+      });
+    }
+
+    self.debug('user %s %s', id, existed ? 'deleted' : 'did not exist');
+    self.metrics().incr('deleted', 1, ['existed:' + existed]);
+    self.store().del(jobKeys, function(){
+      self.unlock(key, function(){
+        fn(null, res);
+      });
+    });
+  }
+};
+
+/**
+ * Create or update the contact of `identify` and attach it to its companies
+ *
+ * https://developers.intercom.com/intercom-api-reference/reference#create-contact
+ *
+ * @param {Identify} identify
+ * @param {Function} fn
+ * @api public
+ */
+
+Intercom.prototype.identifyContacts = function(identify, fn){
+  this.metrics().incr('called', 1, ['method:identify', 'version:contacts']);
+  fn = this.tagged(identify, fn);
+  var contact = mapperContacts.identify(identify, this.settings, this.dropped('identify'));
+  var companies = contact.companies || [];
+  var key = [this.settings.appId, contact.external_id || contact.email].join(':');
+  var self = this;
+  delete contact.companies;
+
+  this.lock(key, function(err){
+    if (err) return fn(err);
+    self.upsertContact(contact, function(err, res){
+      if (err) return done(err, res);
+      var batch = new Batch;
+      batch.concurrency(1);
+      each(function(company){
+        batch.push(function(next){
+          self.upsertCompany(res.body.id, company, next);
+        });
+      }, companies);
+      batch.end(function(err){
+        done(err, res);
+      });
+    });
+  });
+
+  function done(err, res){
+    self.unlock(key, function(){
+      fn(err, res);
+    });
+  }
+};
+
+/**
+ * Create or update the company of `group` and attach the user to it
+ *
+ * @param {Group} group
+ * @param {Function} fn
+ * @api public
+ */
+
+Intercom.prototype.groupContacts = function(group, fn){
+  this.metrics().incr('called', 1, ['method:group', 'version:contacts']);
+  fn = this.tagged(group, fn);
+  var company = mapperContacts.group(group, this.settings, this.dropped('group'));
+  var key = [this.settings.appId, 'groups', group.userId()].join(':');
+  var self = this;
+
+  this.lock(key, function(err){
+    if (err) return fn(err);
+    self.findContact({ external_id: group.userId() }, function(err, contactId){
+      if (err) return done(err);
+      self.upsertCompany(contactId, company, done);
+    });
+  });
+
+  function done(err, res){
+    self.unlock(key, function(){
+      fn(err, res);
+    });
+  }
+};
+
+/**
+ * Submit `track` as a data event of the contact
+ *
+ * https://developers.intercom.com/intercom-api-reference/reference#submit-a-data-event
+ *
+ * @param {Track} track
+ * @param {Function} fn
+ * @api public
+ */
+
+Intercom.prototype.trackContacts = function(track, fn){
+  this.metrics().incr('called', 1, ['method:track', 'version:contacts']);
+  return this.eventContacts(track, this.noted(track, fn));
+};
+
+/**
+ * Submit track or screen `msg` as a data event of the contact
+ *
+ * Events of leads are addressed by the lead's Intercom `id`, so the lead is
+ * looked up by its anonymousId first. There is nothing to attach the event
+ * to if it doesn't exist.
+ *
+ * @api private
+ * @param {Track|Screen} msg
+ * @param {Function} fn
+ */
+
+Intercom.prototype.eventContacts = function(msg, fn){
+  var action = msg.action();
+  var drop = this.dropped(action);
+  var self = this;
+
+  if (!mapperContacts.isLead(msg, this.settings)) {
+    return send(mapperContacts[action](msg, this.settings, drop));
+  }
+
+  this.findContact({ external_id: msg.anonymousId() }, function(err, contactId){
+    if (err || !contactId) return fn(err);
+    send(mapperContacts.leadEvent(msg, self.settings, contactId, drop));
+  });
+
+  function send(data){
+    return self
+      .post('/events')
+      .set(self.headers())
+      .type('json')
+      .accept('json')
+      .send(data)
+      .end(self.handle(fn));
+  }
+};
+
+/**
+ * Submit `screen` as a data event of the contact
+ *
+ * @param {Screen} screen
+ * @param {Function} fn
+ * @api public
+ */
+
+Intercom.prototype.screenContacts = function(screen, fn){
+  this.metrics().incr('called', 1, ['method:screen', 'version:contacts']);
+  return this.eventContacts(screen, fn);
+};
+
+/**
+ * Record a page view on the contact and, if configured, track it as an event
+ *
+ * The lock is held until the event and its note are sent, like `.pageV1()`.
+ *
+ * @param {Page} page
+ * @param {Function} fn
+ * @api public
+ */
+
+Intercom.prototype.pageContacts = function(page, fn){
+  this.metrics().incr('called', 1, ['method:page', 'version:contacts']);
+  var id = page.userId() || page.email();
+  var key = [this.settings.appId, id].join(':');
+  var event = pageEvent(page, this.settings);
+  var self = this;
+
+  this.lock(key, function(err){
+    if (err) return fn(err);
+    self.upsertContact(mapperContacts.page(page, self.settings), function(err, res){
+      if (err || !event) return done(err, res);
+      self.eventContacts(event, self.noted(event, done, key));
+    });
+  });
+
+  function done(err, res){
+    self.unlock(key, function(){
+      fn(err, res);
+    });
+  }
+};
+
+/**
+ * Merge the lead of an anonymous visitor into the identified user
+ *
+ * https://developers.intercom.com/intercom-api-reference/reference#merge-contact
+ *
+ * 1) Lookup the lead whose `external_id` is the alias' `previousId`
+ * 2) If there is none, there is nothing to merge
+ * 3) Merge it into the user with `userId` if they exist,
+ *    otherwise turn the lead into that user
+ *
+ * @param {Alias} alias
+ * @param {Function} fn
+ * @api public
+ */
+
+Intercom.prototype.aliasContacts = function(alias, fn){
+  this.metrics().incr('called', 1, ['method:alias', 'version:contacts']);
+  var previousId = alias.previousId();
+  var userId = alias.userId();
+  var key = [this.settings.appId, userId].join(':');
+  var self = this;
+
+  if (!previousId) return tick(fn);
+
+  this.lock(key, function(err){
+    if (err) return fn(err);
+    self.findContact({ external_id: previousId }, function(err, leadId){
+      // No lead for this visitor, so nothing to merge
+      if (err || !leadId) return done(err);
+      self.findContact({ external_id: userId }, function(err, id){
+        if (err) return done(err);
+        var req = id
+          ? self.post('/contacts/merge').send({ from: leadId, into: id })
+          : self.put(fmt('/contacts/%s', leadId)).send({ role: 'user', external_id: userId });
+        req
+          .set(self.headers())
+          .type('json')
+          .accept('json')
+          .end(self.handle(done));
+      });
+    });
+  });
+
+  function done(err, res){
+    self.unlock(key, function(){
+      fn(err, res);
+    });
+  }
+};
+
+/**
+ * Delete the contact of `msg` from Intercom, e.g. for GDPR/CCPA requests
+ *
+ * https://developers.intercom.com/intercom-api-reference/reference#delete-contact
+ *
+ * Deleting a contact that doesn't exist is not an error.
+ *
+ * @param {Delete} msg
+ * @param {Function} fn
+ * @api public
+ */
+
+Intercom.prototype.deleteContacts = function(msg, fn){
+  this.metrics().incr('called', 1, ['method:delete', 'version:contacts']);
+  var userId = msg.userId();
+  var email = msg.proxy('traits.email') || msg.proxy('properties.email');
+  var key = [this.settings.appId, userId || email].join(':');
+  var self = this;
+
+  this.lock(key, function(err){
+    if (err) return fn(err);
+    self.findContact({ external_id: userId, email: email }, function(err, id){
+      if (err || !id) return done(err);
+      self
+        .del(fmt('/contacts/%s', id))
+        .set(self.headers())
+        .accept('json')
+        .end(self.handle(done));
+    });
+  });
+
+  function done(err, res){
+    if (!err) self.metrics().incr('deleted', 1, ['existed:' + !!res]);
+    self.unlock(key, function(){
+      fn(err, res);
+    });
+  }
+};
+
+/**
+ * Create `contact` or update it if it exists
+ *
+ * @api private
+ * @param {Object} contact
+ * @param {Function} fn
+ */
+
+Intercom.prototype.upsertContact = function(contact, fn){
+  var self = this;
+
+  this.findContact(contact, function(err, id){
+    if (err) return fn(err);
+    var req = id ? self.put(fmt('/contacts/%s', id)) : self.post('/contacts');
+    req
+      .set(self.headers())
+      .type('json')
+      .accept('json')
+      .send(contact)
+      .end(self.handle(fn));
+  });
+};
+
+/**
+ * Find the id of the existing `contact`, see `mapperContacts.search()`
+ *
+ * @api private
+ * @param {Object} contact
+ * @param {Function} fn
+ */
+
+Intercom.prototype.findContact = function(contact, fn){
+  if (!contact.external_id && !contact.email) return tick(fn);
+
+  return this
+    .post('/contacts/search')
+    .set(this.headers())
+    .type('json')
+    .accept('json')
+    .send(mapperContacts.search(contact))
+    .end(this.handle(function(err, res){
+      if (err) return fn(err);
+      var found = (res.body.data || [])[0];
+      fn(null, found && found.id);
+    }));
+};
+
+/**
+ * Create or update `company` and, if `contactId` is given, attach the
+ * contact to it or detach it if the company is to be removed
+ *
+ * https://developers.intercom.com/intercom-api-reference/reference#attach-contact-to-company
+ *
+ * @api private
+ * @param {String} contactId
+ * @param {Object} company
+ * @param {Function} fn
+ */
+
+Intercom.prototype.upsertCompany = function(contactId, company, fn){
+  var remove = company.remove;
+  var self = this;
+  company = extend({}, company);
+  delete company.remove;
+
+  return this
+    .post('/companies')
+    .set(this.headers())
+    .type('json')
+    .accept('json')
+    .send(company)
+    .end(this.handle(function(err, res){
+      if (err || !contactId) return fn(err, res);
+      var req = remove
+        ? self.del(fmt('/contacts/%s/companies/%s', contactId, res.body.id))
+        : self.post(fmt('/contacts/%s/companies', contactId)).type('json').send({ id: res.body.id });
+      req
+        .set(self.headers())
+        .accept('json')
+        .end(self.handle(function(err){
+          fn(err, res);
+        }));
+    }));
+};
+
+/**
+ * Wrap `fn` to apply the tags of `msg` once it was sent successfully, see `tags.parse()`
+ *
+ * @api private
+ * @param {Identify|Group} msg
+ * @param {Function} fn
+ * @return {Function}
+ */
+
+Intercom.prototype.tagged = function(msg, fn){
+  var ops = tags.parse(msg, this.settings);
+  var self = this;
+  if (!ops.length) return fn;
+
+  return function(err, res){
+    if (err) return fn(err, res);
+    self.transitions(msg, ops, function(err, ops){
+      if (err) return fn(err, res);
+      self.tag(msg, ops, function(err){
+        if (err) return fn(err, res);
+        self.remember(msg, ops, function(err){
+          fn(err, res);
+        });
+      });
+    });
+  };
+};
+
+/**
+ * Drop the audience ops of `ops` that would not change the tag
+ *
+ * Audience traits come with every identify call, so the state last sent for
+ * each user and trait is kept in the store, see `.remember()`, and their tags
+ * are only sent when it changes.
+ *
+ * @api private
+ * @param {Identify} msg
+ * @param {Array} ops
+ * @param {Function} fn called with the ops to send
+ */
+
+Intercom.prototype.transitions = function(msg, ops, fn){
+  var store = this.store();
+  var batch = new Batch;
+  var self = this;
+
+  each(function(op){
+    batch.push(function(done){
+      if (!op.audience) return done(null, op);
+      store.get(audienceKey(self, msg, op.name), function(err, state){
+        if (err) return done(err);
+        done(null, state === audienceState(op) ? null : op);
+      });
+    });
+  }, ops);
+
+  batch.end(function(err, ops){
+    if (err) return fn(err);
+    fn(null, ops.filter(Boolean));
+  });
+};
+
+/**
+ * Remember the state the audience ops of `ops` were sent with for `AUDIENCE_TTL` ms
+ *
+ * @api private
+ * @param {Identify} msg
+ * @param {Array} ops
+ * @param {Function} fn
+ */
+
+Intercom.prototype.remember = function(msg, ops, fn){
+  var store = this.store();
+  var batch = new Batch;
+  var self = this;
+
+  each(function(op){
+    if (!op.audience) return;
+    batch.push(function(done){
+      store.set(audienceKey(self, msg, op.name), audienceState(op), AUDIENCE_TTL, done);
+    });
+  }, ops);
+
+  batch.end(function(err){
+    fn(err);
+  });
+};
+
+/**
+ * Apply or remove tags `ops` on the user or company of `msg`
+ *
+ * If `.isBatchingEnabled`, tag entries are buffered per tag like Bulk API items,
+ * see `.buffer()`, so one request tags many users or companies at once.
+ * Contacts API users are tagged one by one through their contact.
+ *
+ * https://developers.intercom.com/reference#tag-or-untag-users-companies-leads-contacts
+ *
+ * @api private
+ * @param {Identify|Group} msg
+ * @param {Array} ops
+ * @param {Function} fn
+ */
+
+Intercom.prototype.tag = function(msg, ops, fn){
+  var contacts = mapperName(this.settings) === 'contacts' && msg.type() !== 'group';
+  var size = Math.min(this.settings.batchSize || MAX_BATCH_SIZE, MAX_BATCH_SIZE);
+  var batch = new Batch;
+  var self = this;
+  batch.concurrency(1);
+
+  each(function(op){
+    batch.push(function(next){
+      if (contacts) return self.tagContact(msg, op, next);
+
+      var tag = tags.format(msg, op);
+      if (!tag) return tick(next);
+
+      var entry = { integration: self, tag: tag, fn: next };
+      if (!self.settings.isBatchingEnabled) return self.sendTags([entry]);
+
+      TAGS.push([account(self), 'tags', tag.name, tag.type].join(':'), entry, {
+        size: size,
+        interval: self.settings.batchInterval || 1000
+      });
+    });
+  }, ops);
+
+  batch.end(function(err){
+    fn(err);
+  });
+};
+
+/**
+ * Send tag `entries` of the same tag as a single request
+ *
+ * @api private
+ * @param {Array} entries
+ */
+
+Intercom.prototype.sendTags = function(entries){
+  var tag = entries[0].tag;
+  var data = { name: tag.name };
+
+  data[tag.type] = entries.map(function(entry){
+    return entry.tag.item;
+  });
 
   return this
-    .post(endpoint)
+    .post('/tags')
     .set(this.headers())
     .type('json')
     .accept('json')
-    .send(mapperV2[msg.action()](msg, self.settings))
-    .end(self.handle(function(err, res){
-      if (err) {
-        return self.unlock(key, function(){
-          return fn(err, res);
-        });
-      }
-      // Store jobId in redis
-      // Set expiration to 14.75 mins since Intercom keeps
-      // jobs open for 15 minutes, we want to add a buffer for more reliability && higher success rate
-      // Note: We're not passing 'NX' when storing in redis so we can overwrite over the same `jobKey`
-      // since we just create a new job if we fail to an existing job despite jobKey not expiring yet.
-      // So we need to be able to update the `closing_at` for the same jobKey since it is now a new job
-      var job = res.body;
-      var expiration = Date.now() - job.closing_at - 15000;
-
-      self.redis().set(jobKey, job.id, 'PX', expiration, function(fail, ok){
-        // return original success response from Intercom Bulk API for better tests
-        self.unlock(key, function(){
-          return fn(err, res);
-        });
-      });
+    .send(data)
+    .end(this.handle(function(err, res){
+      each(function(entry){
+        entry.fn(err, res);
+      }, entries);
     }));
 };
 
 /**
- * Identify a user in intercom
+ * Apply or remove tag `op` on the contact of `msg`
  *
- * https://doc.intercom.io/api/#create-or-update-user
+ * https://developers.intercom.com/intercom-api-reference/reference#tag-contact
  *
- * @param {Identify} identify
+ * @api private
+ * @param {Identify} msg
+ * @param {Object} op
  * @param {Function} fn
- * @api public
  */
 
-Intercom.prototype.identifyV1 = function(identify, fn){
-  // custom metric
-  STATS.incr('called', 1, ['method:identify', 'version:1']);
-  var id = identify.userId() || identify.email();
-  var key = [this.settings.appId, id].join(':');
+Intercom.prototype.tagContact = function(msg, op, fn){
+  var lead = mapperContacts.isLead(msg, this.settings);
+  var contact = { external_id: lead ? msg.anonymousId() : msg.userId(), email: msg.email() };
   var self = this;
-  var options = this.settings;
 
-  this.lock(key, function(err){
-    if (err) return fn(err);
-    return self
-      .post('/users')
+  this.findContact(contact, function(err, contactId){
+    if (err || !contactId) return fn(err);
+    self
+      .post('/tags')
       .set(self.headers())
       .type('json')
       .accept('json')
-      .send(mapperV1.identify(identify, options))
+      .send({ name: op.name })
       .end(self.handle(function(err, res){
-        self.unlock(key, function(){
-          fn(err, res);
-        });
+        if (err) return fn(err);
+        var req = op.untag
+          ? self.del(fmt('/contacts/%s/tags/%s', contactId, res.body.id))
+          : self.post(fmt('/contacts/%s/tags', contactId)).type('json').send({ id: res.body.id });
+        req
+          .set(self.headers())
+          .accept('json')
+          .end(self.handle(fn));
       }));
   });
 };
 
 /**
- * Group in two steps - company and then user
+ * Wrap `fn` to add a note on the user once `track` was sent successfully,
+ * if `.notesEvents` has a template for its event
  *
- * @param {Group} group
+ * Store locks don't wait, so callers that hold the user's lock pass its `key`
+ * to add the note under it instead of locking again.
+ *
+ * @api private
+ * @param {Track} track
  * @param {Function} fn
- * @api public
+ * @param {String} key
+ * @return {Function}
  */
 
-Intercom.prototype.groupV1 = function(group, fn){
-  STATS.incr('called', 1, ['method:group', 'version:1']);
-  var json = group.json();
-  var traits = json.traits || {};
+Intercom.prototype.noted = function(track, fn, key){
   var self = this;
-  var options = this.settings;
+  if (!(this.settings.notesEvents || {})[track.event()]) return fn;
 
-  return this
-    .post('/companies')
-    .set(self.headers())
-    .type('json')
-    .accept('json')
-    .send(mapperV1.group(group, options))
-    .end(this.handle(function(err){
-      if (err) return fn(err);
-      json.userId = group.userId();
-      traits.id = group.groupId();
-      json.traits = { companies: [traits] };
-      var identify = new Identify(json);
-      self.identify(identify, fn);
-    }));
+  return function(err, res){
+    if (err) return fn(err, res);
+    self.note(track, key, function(err){
+      fn(err, res);
+    });
+  };
 };
 
 /**
- * Track the user's action
+ * Add a note rendered from `track` on its user
  *
+ * We lock with the same key as `.track()` so notes don't race with the
+ * user's other calls, unless the caller already holds it as `key`.
+ *
+ * @api private
  * @param {Track} track
+ * @param {String} key
  * @param {Function} fn
- * @api public
  */
 
-Intercom.prototype.trackV1 = function(track, fn) {
-  STATS.incr('called', 1, ['method:track', 'version:1']);
-  var options = this.settings;
+Intercom.prototype.note = function(track, key, fn){
+  var id = track.userId() || track.email() || track.anonymousId();
+  var self = this;
 
-  return this
-    .post('/events')
+  if (key) return this.addNote(track, fn);
+
+  key = [this.settings.appId, id].join(':');
+  this.lock(key, function(err){
+    if (err) return fn(err);
+    self.addNote(track, function(err, res){
+      self.unlock(key, function(){
+        fn(err, res);
+      });
+    });
+  });
+};
+
+/**
+ * Add a note rendered from `track` on its user, Contacts API notes are
+ * added through the contact
+ *
+ * https://developers.intercom.com/reference#create-a-note
+ *
+ * @api private
+ * @param {Track} track
+ * @param {Function} fn
+ */
+
+Intercom.prototype.addNote = function(track, fn){
+  if (mapperName(this.settings) === 'contacts') return this.noteContact(track, fn);
+
+  var note = (mapperName(this.settings) === 'v2' ? mapperV2 : mapperV1).note(track, this.settings);
+  if (!note) return tick(fn);
+
+  this
+    .post('/notes')
     .set(this.headers())
     .type('json')
     .accept('json')
-    .send(mapperV1.track(track, options))
+    .send(note)
     .end(this.handle(fn));
 };
 
+/**
+ * Add a note rendered from `track` on its contact
+ *
+ * https://developers.intercom.com/intercom-api-reference/reference#create-a-note
+ *
+ * @api private
+ * @param {Track} track
+ * @param {Function} fn
+ */
+
+Intercom.prototype.noteContact = function(track, fn){
+  var lead = mapperContacts.isLead(track, this.settings);
+  var contact = { external_id: lead ? track.anonymousId() : track.userId(), email: track.email() };
+  var note = mapperContacts.note(track, this.settings);
+  var self = this;
+
+  this.findContact(contact, function(err, contactId){
+    if (err || !contactId) return fn(err);
+    self
+      .post(fmt('/contacts/%s/notes', contactId))
+      .set(self.headers())
+      .type('json')
+      .accept('json')
+      .send(note)
+      .end(self.handle(fn));
+  });
+};
+
 /**
  * Format all the traits which are dates for intercoms format
  *
@@ -396,6 +2035,95 @@ Intercom.prototype.formatTraits = function(traits){
   return output;
 };
 
+/**
+ * Check whether anonymous `msg` can be sent as a lead
+ *
+ * Leads are opt-in and only supported for `.identify()` and `.track()`
+ * through the Bulk API and Contacts API versions of the integration.
+ *
+ * @param {Facade} msg
+ * @param {Object} settings
+ * @return {Boolean}
+ * @api private
+ */
+
+function acceptsLead(msg, settings){
+  var type = msg.type();
+  return !!(mapperName(settings) !== 'v1'
+    && settings.createLeads
+    && msg.anonymousId()
+    && (type === 'identify' || type === 'track'));
+}
+
+/**
+ * Check whether group `msg` only updates the company, which needs no user
+ *
+ * @param {Facade} msg
+ * @param {Object} settings
+ * @return {Boolean}
+ * @api private
+ */
+
+function updatesCompanyOnly(msg, settings){
+  return msg.type() === 'group'
+    && mapperName(settings) === 'v2'
+    && settings.groupMode === 'company'
+    && !!msg.groupId();
+}
+
+/**
+ * Get the number of ms to keep `job` in the store
+ *
+ * `closing_at` is a unix timestamp in seconds, when it's missing we assume
+ * the job was just created. Never more than the lifetime of a job.
+ *
+ * @param {Object} job
+ * @param {Object} settings
+ * @return {Number}
+ * @api private
+ */
+
+function jobExpiration(job, settings){
+  var margin = is.number(settings.jobExpirationMargin)
+    ? settings.jobExpirationMargin
+    : JOB_EXPIRATION_MARGIN;
+  var max = JOB_LIFETIME - margin;
+
+  if (!job.closing_at) return max;
+  return Math.min(job.closing_at * 1000 - Date.now() - margin, max);
+}
+
+/**
+ * Get the Bulk API data type `msg` is sent as
+ *
+ * @param {Facade} msg
+ * @return {String}
+ * @api private
+ */
+
+function jobType(msg){
+  var action = msg.action();
+  return (action === 'track' || action === 'screen') ? 'events' : 'users';
+}
+
+/**
+ * Get the event to send for `page`, if any
+ *
+ * Named pages are sent as "Viewed {Category} {Name} Page" when `.trackNamedPages`
+ * is enabled, and every other page as "Loaded a Page" when `.trackAllPages` is.
+ *
+ * @param {Page} page
+ * @param {Object} settings
+ * @return {Track|undefined}
+ * @api private
+ */
+
+function pageEvent(page, settings){
+  var name = page.fullName();
+  if (name && (settings.trackNamedPages || settings.trackAllPages)) return page.track(name);
+  if (settings.trackAllPages) return page.track();
+}
+
 /**
  * Set up a key with the dates for intercom
  *
@@ -442,10 +2170,15 @@ Intercom.prototype.headers = function() {
     var buf = new Buffer(this.settings.appId + ':' + this.settings.apiKey);
     auth = 'Basic ' + buf.toString('base64');
   }
-  return {
+  var headers = {
     Authorization: auth,
     'User-Agent': this.userAgent
   };
+  // Pin the version the mapper's payloads are meant for
+  var version = apiVersion(this.settings);
+  if (version == null && mapperName(this.settings) === 'contacts') version = CONTACTS_API_VERSION;
+  if (version != null) headers['Intercom-Version'] = version;
+  return headers;
 }
 
 /**
@@ -458,3 +2191,148 @@ Intercom.prototype.headers = function() {
 function oauthTokenExists (oauthObject) {
   return oauthObject && oauthObject['access-token'] && oauthObject['access-token'].length;
 }
+
+/**
+ * Get the ms until the rate limit window of `res` resets
+ *
+ * @param {Response} res
+ * @return {Number}
+ * @api private
+ */
+
+function retryAfter (res) {
+  var reset = res && res.headers && parseInt(res.headers['x-ratelimit-reset'], 10);
+  if (!reset) return 0;
+  return Math.max(reset * 1000 - Date.now(), 0);
+}
+
+/**
+ * Get the name of the mapper `settings` select
+ *
+ * A 2.x `.apiVersion` selects the contacts mapper unless the Bulk API is
+ * enabled, which only exists up to 1.4.
+ *
+ * @param {Object} settings
+ * @return {String}
+ * @api private
+ */
+
+function mapperName (settings) {
+  if (settings.useContactsAPI) return 'contacts';
+  if (settings.isBulkAPIEnabled) return 'v2';
+  return /^2\./.test(apiVersion(settings)) ? 'contacts' : 'v1';
+}
+
+/**
+ * Get `.apiVersion` of `settings` as a string, numbers like `2` are read as '2.0'
+ *
+ * @param {Object} settings
+ * @return {String}
+ * @api private
+ */
+
+function apiVersion (settings) {
+  var version = settings.apiVersion;
+  if (version == null) return null;
+  return is.number(version) ? version.toFixed(1) : String(version);
+}
+
+/**
+ * Get the account `integration` sends to, its endpoint and credentials
+ *
+ * Requests buffered by integrations of the same account may be sent by either of them.
+ *
+ * @param {Intercom} integration
+ * @return {String}
+ * @api private
+ */
+
+function account (integration) {
+  var headers = integration.headers();
+  return [integration.endpoint, headers.Authorization, headers['Intercom-Version']].join(' ');
+}
+
+/**
+ * Get the store key of the audience tag `name` of the user of `msg`
+ *
+ * @param {Intercom} integration
+ * @param {Identify} msg
+ * @param {String} name
+ * @return {String}
+ * @api private
+ */
+
+function audienceKey (integration, msg, name) {
+  var user = msg.userId() || msg.email() || msg.anonymousId();
+  return [integration.settings.appId, 'audiences', user, name].join(':');
+}
+
+/**
+ * Get the state audience `op` sets its tag to, '1' if applied and '0' if removed
+ *
+ * @param {Object} op
+ * @return {String}
+ * @api private
+ */
+
+function audienceState (op) {
+  return op.untag ? '0' : '1';
+}
+
+/**
+ * Check whether `id` is an Intercom admin id
+ *
+ * @param {String|Number} id
+ * @return {Boolean}
+ * @api private
+ */
+
+function adminId (id) {
+  return /^\d+$/.test(String(id));
+}
+
+/**
+ * Get the base URL of all requests, `.endpoint` or the one of `.region`
+ *
+ * @param {Object} settings
+ * @return {String}
+ * @api private
+ */
+
+function baseUrl (settings) {
+  return settings.endpoint || REGIONS[settings.region] || REGIONS.us;
+}
+
+/**
+ * Get the version of the integration `settings` select, to tag metrics with
+ *
+ * @param {Object} settings
+ * @return {Number|String}
+ * @api private
+ */
+
+function version (settings) {
+  var name = mapperName(settings);
+  if (name === 'contacts') return name;
+  return name === 'v2' ? 2 : 1;
+}
+
+/**
+ * Get the endpoint of `path` without ids, to tag metrics with
+ *
+ * @param {String} path
+ * @return {String}
+ * @api private
+ */
+
+function endpoint (path) {
+  return (path || '/').replace(/\/jobs\/[^\/]+/, '/jobs/:id');
+}
+
+/**
+ * Noop
+ *
+ * @api private
+ */
+
+function noop () {}
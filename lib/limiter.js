@@ -0,0 +1,197 @@
+/**
+ * Module dependencies.
+ */
+
+var RateLimitError = require('./errors').RateLimitError;
+var fmt = require('@segment/fmt');
+
+/**
+ * Wait this many ms at most for the budget to reset before deferring a request
+ */
+
+var MAX_DELAY = 5000;
+
+/**
+ * Expose `Limiter`
+ */
+
+module.exports = Limiter;
+
+/**
+ * Share the rate limit budget of the integration's account between workers
+ *
+ * Budgets are keyed by `integration.accountId()`, not `.appId`, which
+ * OAuth-only workspaces may not have.
+ *
+ * Intercom reports the requests left in the current window with
+ * `X-RateLimit-Remaining` and when it resets with `X-RateLimit-Reset`.
+ * The limiter keeps the current window's reset in the store and a counter
+ * of the tokens left in it, takes a token before every request and lowers
+ * the counter from every response.
+ *
+ * Requests that find the bucket empty are delayed until it resets if that's
+ * within `.rateLimitDelay` ms (5s by default), otherwise they fail with a
+ * `RateLimitError` telling when to retry.
+ *
+ * @param {Intercom} integration
+ * @api public
+ */
+
+function Limiter(integration){
+  if (!(this instanceof Limiter)) return new Limiter(integration);
+  this.integration = integration;
+  this.key = [integration.accountId(), 'ratelimit'].join(':');
+}
+
+/**
+ * Take a token from the bucket, waiting for it to reset if needed
+ *
+ * @param {Function} fn
+ * @api public
+ */
+
+Limiter.prototype.take = function(fn){
+  var store = this.integration.store();
+  var maxDelay = this.maxDelay();
+  var key = this.key;
+  var self = this;
+
+  take();
+
+  function take(){
+    store.get(key, function(err, reset){
+      if (err) return fn(err);
+
+      reset = Number(reset);
+      // No budget known yet or the window is over, Intercom will tell us
+      if (!reset || reset <= Date.now()) return fn();
+
+      store.incr(bucket(key, reset), -1, ttl(reset), function(err, remaining){
+        if (err) return fn(err);
+        if (remaining >= 0) return fn();
+
+        var wait = reset - Date.now();
+        if (wait > maxDelay) return fn(self.limited(wait));
+        setTimeout(take, Math.max(wait, 0));
+      });
+    });
+  }
+};
+
+/**
+ * Update the bucket from the rate limit headers of `res`
+ *
+ * Responses come back out of order, so within a window the bucket only
+ * moves down: it keeps the lowest of its remaining tokens and the headers'.
+ * A later window replaces it.
+ *
+ * @param {Response} res
+ * @param {Function} fn
+ * @api public
+ */
+
+Limiter.prototype.update = function(res, fn){
+  var headers = (res && res.headers) || {};
+  var remaining = parseInt(headers['x-ratelimit-remaining'], 10);
+  var reset = parseInt(headers['x-ratelimit-reset'], 10) * 1000;
+  var store = this.integration.store();
+  var key = bucket(this.key, reset);
+  var self = this;
+
+  if (isNaN(remaining) || !(reset > Date.now())) return fn();
+
+  store.get(key, function(err, value){
+    if (err) return fn(err);
+
+    if (value == null) {
+      return store.cas(key, null, remaining, ttl(reset), function(err, ok){
+        if (err) return fn(err);
+        // Another response started the bucket first, lower theirs
+        if (!ok) return self.update(res, fn);
+        self.window(reset, fn);
+      });
+    }
+
+    var lower = remaining - Number(value);
+    if (lower >= 0) return self.window(reset, fn);
+    store.incr(key, lower, ttl(reset), function(err){
+      if (err) return fn(err);
+      self.window(reset, fn);
+    });
+  });
+};
+
+/**
+ * Move the current window forward to the one resetting at `reset`
+ *
+ * @param {Number} reset
+ * @param {Function} fn
+ * @api private
+ */
+
+Limiter.prototype.window = function(reset, fn){
+  var store = this.integration.store();
+  var key = this.key;
+  var self = this;
+
+  store.get(key, function(err, current){
+    if (err) return fn(err);
+    if (Number(current) >= reset) return fn();
+    store.cas(key, current, reset, ttl(reset), function(err, ok){
+      if (err || ok) return fn(err);
+      // Another response moved the window first, check theirs
+      self.window(reset, fn);
+    });
+  });
+};
+
+/**
+ * Get the error for requests made `retryAfter` ms too early
+ *
+ * @param {Number} retryAfter
+ * @return {RateLimitError}
+ * @api public
+ */
+
+Limiter.prototype.limited = function(retryAfter){
+  retryAfter = Math.max(retryAfter || 0, 0);
+  var msg = fmt('rate limit of app `%s` exceeded, retry in %dms', this.integration.settings.appId, retryAfter);
+  return new RateLimitError(msg, 'Intercom', retryAfter);
+};
+
+/**
+ * Get the ms a request may wait for the budget to reset
+ *
+ * @return {Number}
+ * @api private
+ */
+
+Limiter.prototype.maxDelay = function(){
+  var delay = this.integration.settings.rateLimitDelay;
+  return delay == null ? MAX_DELAY : delay;
+};
+
+/**
+ * Get the key of the bucket of the window resetting at `reset`
+ *
+ * @param {String} key
+ * @param {Number} reset
+ * @return {String}
+ * @api private
+ */
+
+function bucket(key, reset){
+  return [key, reset].join(':');
+}
+
+/**
+ * Get the ms until `reset`, at least 1
+ *
+ * @param {Number} reset
+ * @return {Number}
+ * @api private
+ */
+
+function ttl(reset){
+  return Math.max(reset - Date.now(), 1);
+}
@@ -0,0 +1,441 @@
+/**
+ * Module dependencies.
+ */
+
+var isostring = require('isostring');
+var hash = require('string-hash');
+var time = require('unix-time');
+var dot = require('obj-case');
+var flatten = require('flat');
+var is = require('is');
+var mappings = require('./mappings');
+var tags = require('./tags');
+var each = require('@ndhoule/each');
+var remove = require('obj-case').del;
+var reject = require('reject');
+var extend = require('@ndhoule/extend');
+var foldl = require('@ndhoule/foldl');
+var clone = require('lodash/clone');
+var pick = require('lodash/pick');
+
+/**
+ * Map page `msg` to an update of the user, for the v1 and v2 mappers.
+ *
+ * Records the page view on the user so it shows up on their Intercom profile
+ *
+ * @param {Page} msg
+ * @param {Object} settings
+ * @return {Object}
+ */
+
+exports.page = function(msg, settings){
+  var ret = {};
+
+  ret.user_id = msg.userId();
+  if (msg.email()) ret.email = msg.email();
+  if (settings.updateLastRequestAt && msg.active()) ret.last_request_at = time(msg.timestamp());
+  if (msg.ip()) ret.last_seen_ip = msg.ip();
+  if (msg.userAgent()) ret.last_seen_user_agent = msg.userAgent();
+
+  // Reject any undefined/null values
+  ret.custom_attributes = reject({
+    last_page_url: msg.url(),
+    last_page_title: msg.title(),
+    last_page_name: msg.fullName()
+  });
+
+  return ret;
+};
+
+/**
+ * Check whether group `msg` removes the user from the company, flagged with
+ * `context.Intercom.remove` or the boolean trait named by `.groupRemoveTrait`.
+ *
+ * @param {Group} msg
+ * @param {Object} settings
+ * @return {Boolean}
+ */
+
+exports.removes = function(msg, settings){
+  var context = msg.options('Intercom');
+  if (is.boolean(context.remove)) return context.remove;
+  if (!settings.groupRemoveTrait) return false;
+  return msg.proxy('traits.' + settings.groupRemoveTrait) === true;
+};
+
+/**
+ * Render the event name for screen `msg`
+ *
+ * `{{name}}`, `{{category}}` and `{{properties.*}}` are replaced
+ * with the matching values of the message.
+ *
+ * @param {Screen} msg
+ * @param {Object} settings
+ * @return {String}
+ */
+
+exports.screenEvent = function(msg, settings){
+  var template = settings.screenEventTemplate;
+  var name = msg.name();
+
+  if (!name) return msg.event();
+  if (!template) return msg.event(name);
+  return exports.render(template, msg);
+};
+
+/**
+ * Replace `{{path}}` in `template` with the value of `msg` at `path`,
+ * passed through `format` if given
+ *
+ * @param {String} template
+ * @param {Facade} msg
+ * @param {Function} format
+ * @return {String}
+ */
+
+exports.render = function(template, msg, format){
+  return template.replace(/{{\s*([\w.]+)\s*}}/g, function(match, path){
+    var value = msg.proxy(path);
+    value = value == null ? '' : String(value);
+    return format ? format(value) : value;
+  });
+};
+
+/**
+ * Get the Intercom admin owning the user or company of `msg`
+ *
+ * `context.Intercom.ownerId` wins, otherwise the value of the trait named by
+ * `.ownerTrait`, like an account manager's email, is looked up in `.ownerAdmins`.
+ * Values without an admin are dropped.
+ *
+ * @param {Facade} msg
+ * @param {Object} settings
+ * @param {Function} drop called with `.ownerTrait` if its value has no admin
+ * @return {String|Number}
+ */
+
+exports.ownerId = function(msg, settings, drop){
+  var context = msg.options('Intercom');
+  if (context.ownerId != null) return context.ownerId;
+  if (!settings.ownerTrait) return;
+
+  var value = msg.proxy('traits.' + settings.ownerTrait);
+  if (value == null) return;
+
+  var owner = (settings.ownerAdmins || {})[value];
+  if (owner == null && drop) drop(settings.ownerTrait);
+  return owner;
+};
+
+/**
+ * Map track `msg` to a note on the user, if `.notesEvents` maps its event to a template.
+ *
+ * `{{event}}` and `{{properties.*}}` in the template are replaced with the
+ * matching values of the message, escaped for the HTML body of the note.
+ *
+ * https://developers.intercom.com/reference#create-a-note
+ *
+ * @param {Track} msg
+ * @param {Object} settings
+ * @return {Object}
+ */
+
+exports.note = function(msg, settings){
+  var template = (settings.notesEvents || {})[msg.event()];
+  var user;
+
+  if (msg.userId()) user = { user_id: msg.userId() };
+  else if (msg.email()) user = { email: msg.email() };
+  if (!template || !user) return;
+
+  return {
+    user: user,
+    body: exports.render(template, msg, exports.escapeHtml)
+  };
+};
+
+/**
+ * Escape `str` for HTML
+ *
+ * @param {String} str
+ * @return {String}
+ */
+
+exports.escapeHtml = function(str){
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+/**
+ * Format the companies of `msg`, either a company name or company objects
+ * in `traits.company` or `traits.companies`
+ *
+ * http://docs.intercom.io/#Companies
+ *
+ * @param {Object} msg
+ * @param {Object} settings
+ * @param {Function} drop called with every attribute that is dropped
+ * @return {Array}
+ */
+
+exports.formatCompanies = function(msg, settings, drop){
+  var ret = [];
+  var company = msg.proxy('traits.company') || msg.proxy('traits.companies');
+  // Wrapping in array for DRY code
+  if (is.object(company)) company = [company];
+
+  if (is.string(company)) {
+    var payload = reject({
+      name: company,
+      company_id: hash(company), // Legacy
+      monthly_spend: msg.proxy('traits.monthlySpend'),
+      plan: msg.proxy('traits.plan')
+    });
+
+    if (msg.created()) payload.remote_created_at = time(msg.created());
+
+    ret.push(payload);
+  } else if (is.array(company)) {
+    each(function(company){
+      var mapped = mappings.apply(company, settings, 'company', drop);
+      company = exports.formatTraits(mapped.traits);
+      var customTraits = exports.removeDuplicateTraits(company);
+      var created = dot(company, 'created') || dot(company, 'createdAt');
+      var payload = reject({
+        name: company.name,
+        company_id: company.id || dot(company, 'company_id') || (company.name && hash(company.name)),
+        monthly_spend: dot(company, 'monthlySpend'),
+        remote_created_at: created,
+        plan: company.plan,
+        custom_attributes: exports.formatAttributes(customTraits, settings, drop),
+        remove: company.remove
+      });
+
+      ret.push(extend(payload, mapped.fields));
+    }, company);
+  }
+
+  return ret;
+};
+
+/**
+ * Remove all redundant traits that's been mapped semantically already
+ *
+ * https://doc.intercom.io/api/#custom-attributes
+ *
+ * @param {Object} traits
+ * @return {Object}
+ */
+
+exports.removeDuplicateTraits = function(traits){
+  var customTraits = exports.formatTraits(traits);
+  var semanticTraits = [
+    'companies',
+    'company',
+    'created_at',
+    'created',
+    'custom_attributes',
+    'company_id',
+    'id',
+    'name',
+    'monthly_spend',
+    'plan',
+    'remote_created_at',
+    'remove'
+  ];
+
+  // Remove duplicate/semantic traits
+  each(function(trait){
+    remove(customTraits, trait);
+  }, semanticTraits);
+
+  return customTraits;
+};
+
+/**
+ * Remove the traits of a user that are synced as tags, `.tagsTrait` and
+ * audiences, see `tags.parse()`
+ *
+ * @param {Object} attributes
+ * @param {Object} settings
+ */
+
+exports.removeTags = function(attributes, settings){
+  if (settings.tagsTrait) remove(attributes, settings.tagsTrait);
+  each(function(trait){
+    remove(attributes, trait);
+  }, tags.audiences(attributes, settings));
+};
+
+/**
+ * Format all the traits which are dates for intercoms format.
+ *
+ * https://doc.intercom.io/api/#custom-attributes
+ *
+ * @param {Object} traits
+ * @return {Object}
+ */
+
+exports.formatTraits = function(traits){
+  if (is.array(traits)) return traits.map(exports.formatTraits);
+  if (!is.object(traits)) return traits;
+
+  var ret = {};
+  Object.keys(traits).forEach(function(key){
+    var val = traits[key];
+    if (is.array(val)) return ret[key] = val.map(exports.formatTraits);
+    if (is.object(val)) return ret[key] = exports.formatTraits(val);
+    if (isostring(val) || is.date(val)) return ret[exports.dateKey(key)] = time(val);
+    ret[key] = val;
+  });
+
+  return ret;
+};
+
+/**
+ * Format all the properties.
+ *
+ * https://developers.intercom.io/docs/event-metadata-types
+ *
+ * @param {Object} props
+ * @return {Object}
+ */
+
+exports.formatMetadata = function(props){
+  var ret = {};
+
+  Object.keys(props).forEach(function(key){
+    var val = props[key];
+
+    if (is.boolean(val)) {
+      ret[key] = String(val);
+      return;
+    }
+
+    if (is.number(val) || is.string(val)) {
+      ret[key] = val;
+      return;
+    }
+
+    if (isostring(val) || is.date(val)) {
+      ret[exports.dateKey(key)] = time(val);
+      return;
+    }
+
+    // Arrays and objects are flattened later
+    if (is.array(val) || is.object(val)) ret[key] = val;
+  });
+
+  return ret;
+};
+
+/**
+ * Format custom attributes, flattened with `formatNested()` and filtered
+ * by their paths with `mappings.filter()`
+ *
+ * @param {Object} obj
+ * @param {Object} settings
+ * @param {Function} drop called with every attribute that is dropped
+ * @return {Object}
+ */
+
+exports.formatAttributes = function(obj, settings, drop){
+  return mappings.filter(exports.formatNested(obj, settings, drop), settings, drop);
+};
+
+/**
+ * Flatten selectively based on your settings. You can either stringify, flatten, or drop the properties.
+ * Intercom rejects nested objects so you must choose a method.
+ *
+ * @param {Object} obj
+ * @param {Object} settings
+ * @param {Function} drop called with every attribute that is dropped
+ * @return {Object} ret
+ */
+
+exports.formatNested = function(obj, settings, drop){
+  var blacklisted = settings.blacklisted || {};
+  var defaultMethod = settings.defaultMethod || 'flatten';
+  var richLinkProperties = settings.richLinkProperties || [];
+
+  // have to remove rich link object from traits to be formatted and add it back in later
+  // clone obj so we dont modify the original
+  var traitsToFormat = clone(obj);
+
+  // remove rich link object from nested traits to be modified
+  each(function(property){
+    remove(traitsToFormat, property);
+  }, richLinkProperties);
+
+  // create obj with rich link object to add to traits in the end
+  var richLinkTraits = pick(obj, richLinkProperties);
+
+  var formattedTraits = foldl(function(attrs, value, key){
+    var trait = blacklisted[key];
+
+    if (trait === 'stringify') {
+      attrs.stringify[key] = value;
+    } else if (trait === 'flatten') {
+      attrs.flatten[key] = value;
+    } else if (trait === 'drop') {
+      if (drop) drop(key);
+      return attrs;
+    } else if (typeof value === 'object') {
+      if (defaultMethod === 'stringify') attrs.stringify[key] = value;
+      if (defaultMethod === 'flatten') attrs.flatten[key] = value;
+      if (defaultMethod === 'drop' && drop) drop(key);
+      if (defaultMethod === 'drop') return attrs;
+    } else {
+      attrs.nonNestedTraits[key] = value;
+    }
+    return attrs;
+  }, { flatten: {}, stringify: {}, nonNestedTraits: {} }, traitsToFormat);
+
+  // stringify specified traits
+  var stringifiedTraits = foldl(function(ret, value, key){
+    ret[key] = JSON.stringify(value);
+    return ret;
+  }, {}, formattedTraits.stringify);
+
+  // flatten specified traits
+  var flattenedTraits = foldl(function(ret, value, key){
+    var pair = {};
+    pair[key] = value;
+    return extend(flatten(pair), ret);
+  }, {}, formattedTraits.flatten);
+
+  // combine all traits
+  return extend(stringifiedTraits, flattenedTraits, formattedTraits.nonNestedTraits, richLinkTraits);
+};
+
+/**
+ * Set up a key with the dates for intercom
+ *
+ * http://docs.intercom.io/#CustomDataDates
+ *
+ * @param {String} key
+ * @return {String}
+ */
+
+exports.dateKey = function(key){
+  if (endswith(key, '_at')) return key;
+  if (endswith(key, ' at')) return key.substr(0, key.length - 3) + '_at';
+  if (endswith(key, 'At')) return key;
+  return key + '_at';
+};
+
+/**
+ * Test whether a string ends with the suffix
+ *
+ * @param {String} str
+ * @param {String} suffix
+ * @return {Boolean}
+ * @api private
+ */
+
+function endswith(str, suffix){
+  return str.substr(str.length - suffix.length) === suffix;
+}
@@ -0,0 +1,295 @@
+/**
+ * Module dependencies.
+ */
+
+var time = require('unix-time');
+var is = require('is');
+var mappings = require('./mappings');
+var common = require('./mapper-common');
+var each = require('@ndhoule/each');
+var remove = require('obj-case').del;
+var reject = require('reject');
+var extend = require('@ndhoule/extend');
+var Track = require('segmentio-facade').Track;
+
+/**
+ * Map identify `msg` to a contact.
+ *
+ * Users and leads are both contacts, told apart by their `role`. The
+ * companies of the contact are returned as `companies`, they have to be
+ * created and attached separately.
+ *
+ * https://developers.intercom.com/intercom-api-reference/reference#create-contact
+ *
+ * @param {Identify} msg
+ * @param {Object} settings
+ * @param {Function} drop called with every attribute that is dropped
+ * @return {Object}
+ */
+
+exports.identify = function(msg, settings, drop){
+  var mapped = mappings.message(msg, settings, 'contact', drop);
+  msg = mapped.msg;
+  var traits = common.formatTraits(mapped.traits);
+  var context = msg.options('Intercom');
+  var lead = exports.isLead(msg, settings);
+  var ret = {};
+
+  ret.role = lead ? 'lead' : 'user';
+  ret.external_id = lead ? msg.anonymousId() : msg.userId();
+  ret.custom_attributes = traits;
+
+  if (msg.email()) ret.email = msg.email();
+  if (msg.phone()) ret.phone = msg.phone();
+  if (msg.name()) ret.name = msg.name();
+  if (msg.created() && !lead) ret.signed_up_at = time(msg.created());
+  if (msg.active()) ret.last_seen_at = traits.lastRequestAt || time(msg.timestamp());
+
+  // Comparing to `undefined` since they could send `false`
+  if (context.unsubscribedFromEmails != undefined && is.boolean(context.unsubscribedFromEmails)) {
+    ret.unsubscribed_from_emails = context.unsubscribedFromEmails;
+  }
+
+  // Assign the owner with context.Intercom.ownerId or `.ownerTrait`
+  var owner = common.ownerId(msg, settings, drop);
+  if (owner != null) ret.owner_id = owner;
+
+  var companies = formatCompanies(msg, settings, drop);
+  if (companies.length) ret.companies = companies;
+
+  // Delete dupes
+  each(function(trait){
+    remove(ret.custom_attributes, trait);
+  }, ['name', 'email', 'phone', 'company', 'companies', 'lastRequestAt']);
+  common.removeTags(ret.custom_attributes, settings);
+
+  // Must flatten any nested data structures to prevent Intercom rejecting the message
+  ret.custom_attributes = common.formatAttributes(ret.custom_attributes, settings, drop);
+
+  // Traits mapped to standard fields with `.traitMappings`
+  extend(ret, mapped.fields);
+
+  return reject(ret);
+};
+
+/**
+ * Map track `msg` to a data event.
+ *
+ * `user_id` is the user's `external_id`, events of leads are addressed by the
+ * lead's Intercom `id` instead, see `.leadEvent()`.
+ *
+ * https://developers.intercom.com/intercom-api-reference/reference#submit-a-data-event
+ *
+ * @param {Track} msg
+ * @param {Object} settings
+ * @param {Function} drop called with every attribute that is dropped
+ * @return {Object}
+ */
+
+exports.track = function(msg, settings, drop){
+  var metadata = common.formatNested(common.formatMetadata(msg.properties()), settings, drop);
+  var revenue = msg.revenue();
+  var ret = {};
+
+  remove(metadata, 'revenue');
+  remove(metadata, 'currency');
+  if (revenue) {
+    // Intercom requests value in cents
+    metadata.price = {
+      amount: revenue * 100,
+      currency: msg.currency()
+    };
+  }
+
+  ret.event_name = msg.event();
+  ret.created_at = time(msg.timestamp());
+  ret.user_id = msg.userId();
+  if (msg.email()) ret.email = msg.email();
+  ret.metadata = metadata;
+
+  return reject(ret);
+};
+
+/**
+ * Map track or screen `msg` of a lead to a data event of the lead with Intercom id `id`.
+ *
+ * https://developers.intercom.com/intercom-api-reference/reference#submit-a-data-event
+ *
+ * @param {Track|Screen} msg
+ * @param {Object} settings
+ * @param {String} id
+ * @param {Function} drop called with every attribute that is dropped
+ * @return {Object}
+ */
+
+exports.leadEvent = function(msg, settings, id, drop){
+  var data = exports[msg.action()](msg, settings, drop);
+  data.id = id;
+  return data;
+};
+
+/**
+ * Map screen `msg` to a data event.
+ *
+ * Screens are sent as events named after `.screenEventTemplate`,
+ * "Viewed {{name}} Screen" by default
+ *
+ * @param {Screen} msg
+ * @param {Object} settings
+ * @param {Function} drop called with every attribute that is dropped
+ * @return {Object}
+ */
+
+exports.screen = function(msg, settings, drop){
+  var json = msg.json();
+  json.event = common.screenEvent(msg, settings);
+  json.timestamp = msg.timestamp();
+  json.properties = msg.properties();
+  return exports.track(new Track(json), settings, drop);
+};
+
+/**
+ * Map group `msg` to a company.
+ *
+ * https://developers.intercom.com/intercom-api-reference/reference#create-or-update-company
+ *
+ * @param {Group} msg
+ * @param {Object} settings
+ * @param {Function} drop called with every attribute that is dropped
+ * @return {Object}
+ */
+
+exports.group = function(msg, settings, drop){
+  var mapped = mappings.message(msg, settings, 'company', drop);
+  msg = mapped.msg;
+  var customTraits = common.removeDuplicateTraits(mapped.traits);
+  if (settings.groupRemoveTrait) remove(customTraits, settings.groupRemoveTrait);
+  if (settings.tagsTrait) remove(customTraits, settings.tagsTrait);
+
+  // Reject any undefined/null values
+  var ret = reject({
+    company_id: msg.groupId(),
+    name: msg.name(),
+    monthly_spend: msg.proxy('traits.monthlySpend'),
+    plan: msg.proxy('traits.plan'),
+    custom_attributes: common.formatAttributes(customTraits, settings, drop)
+  });
+
+  if (msg.created()) ret.remote_created_at = time(msg.created());
+  var owner = common.ownerId(msg, settings, drop);
+  if (owner != null) ret.owner_id = owner;
+  if (exports.removes(msg, settings)) ret.remove = true;
+  extend(ret, mapped.fields);
+
+  return ret;
+};
+
+/**
+ * Check whether group `msg` removes the user from the company, see `common.removes()`.
+ */
+
+exports.removes = common.removes;
+
+/**
+ * Map page `msg` to an update of the contact.
+ *
+ * Records the page view on the contact so it shows up on their Intercom profile
+ *
+ * @param {Page} msg
+ * @param {Object} settings
+ * @return {Object}
+ */
+
+exports.page = function(msg, settings){
+  var ret = {};
+
+  ret.external_id = msg.userId();
+  if (msg.email()) ret.email = msg.email();
+  if (settings.updateLastRequestAt && msg.active()) ret.last_seen_at = time(msg.timestamp());
+
+  // Reject any undefined/null values
+  ret.custom_attributes = reject({
+    last_page_url: msg.url(),
+    last_page_title: msg.title(),
+    last_page_name: msg.fullName()
+  });
+
+  return reject(ret);
+};
+
+/**
+ * Map `contact` to the search for the existing contact
+ *
+ * Contacts are looked up by `external_id` or, without one, by email.
+ *
+ * https://developers.intercom.com/intercom-api-reference/reference#search-for-contacts
+ *
+ * @param {Object} contact
+ * @return {Object}
+ */
+
+exports.search = function(contact){
+  var field = contact.external_id ? 'external_id' : 'email';
+  return {
+    query: {
+      field: field,
+      operator: '=',
+      value: contact[field]
+    }
+  };
+};
+
+/**
+ * Check whether `msg` is from an anonymous visitor that should be sent as a lead
+ *
+ * Only when `.createLeads` is enabled and there is neither a `userId` nor an email.
+ *
+ * @param {Facade} msg
+ * @param {Object} settings
+ * @return {Boolean}
+ */
+
+exports.isLead = function(msg, settings){
+  return !!(settings.createLeads
+    && msg.anonymousId()
+    && !msg.userId()
+    && !msg.email());
+};
+
+/**
+ * Map track `msg` to a note on the user, if `.notesEvents` maps its event to a template.
+ *
+ * `{{event}}` and `{{properties.*}}` in the template are replaced with the
+ * matching values of the message, escaped for the HTML body of the note.
+ *
+ * https://developers.intercom.com/intercom-api-reference/reference#create-a-note
+ *
+ * @param {Track} msg
+ * @param {Object} settings
+ * @return {Object}
+ */
+
+exports.note = function(msg, settings){
+  var template = (settings.notesEvents || {})[msg.event()];
+  if (!template) return;
+  return { body: common.render(template, msg, common.escapeHtml) };
+};
+
+/**
+ * Format the companies of `msg` for the companies API, which takes string ids
+ *
+ * https://developers.intercom.com/intercom-api-reference/reference#create-or-update-company
+ *
+ * @param {Object} msg
+ * @param {Object} settings
+ * @param {Function} drop called with every attribute that is dropped
+ * @return {Array}
+ * @api private
+ */
+
+function formatCompanies(msg, settings, drop){
+  return common.formatCompanies(msg, settings, drop).map(function(company){
+    if (company.company_id != null) company.company_id = String(company.company_id);
+    return company;
+  });
+}
@@ -2,30 +2,28 @@
  * Module dependencies.
  */
 
-var isostring = require('isostring');
-var hash = require('string-hash');
 var time = require('unix-time');
-var dot = require('obj-case');
-var flatten = require('flat');
 var is = require('is');
-var each = require('@ndhoule/each');
+var mappings = require('./mappings');
+var common = require('./mapper-common');
 var remove = require('obj-case').del;
 var reject = require('reject');
 var extend = require('@ndhoule/extend');
-var foldl = require('@ndhoule/foldl');
-var clone = require('lodash/clone');
-var pick = require('lodash/pick');
+var Track = require('segmentio-facade').Track;
 
 /**
  * Map identify `msg`.
  *
  * @param {Identify} msg
  * @param {Object} settings
+ * @param {Function} drop called with every attribute that is dropped
  * @return {Object}
  */
 
-exports.identify = function(msg, settings){
-  var traits = formatTraits(msg.traits());
+exports.identify = function(msg, settings, drop){
+  var mapped = mappings.message(msg, settings, 'user', drop);
+  msg = mapped.msg;
+  var traits = common.formatTraits(mapped.traits);
   var context = msg.options('Intercom');
   var active = msg.active();
   var email = msg.email();
@@ -70,9 +68,13 @@ exports.identify = function(msg, settings){
     ret.unsubscribed_from_emails = context.unsubscribedFromEmails;
   }
 
+  // Assign the owner with context.Intercom.ownerId or `.ownerTrait`
+  var owner = common.ownerId(msg, settings, drop);
+  if (owner != null) ret.owner_id = owner;
+
   // Add company data
-  company = formatCompany(msg, settings); // returns array
-  if (company.length) ret.companies = company;
+  var companies = common.formatCompanies(msg, settings, drop);
+  if (companies.length) ret.companies = companies;
 
   // Add phone data
   if (msg.phone()) ret.phone = msg.phone();
@@ -81,9 +83,19 @@ exports.identify = function(msg, settings){
   remove(ret.custom_attributes, 'company');
   remove(ret.custom_attributes, 'companies');
   remove(ret.custom_attributes, 'phone');
+  common.removeTags(ret.custom_attributes, settings);
 
   // Must flatten any nested data structures to prevent Intercom rejecting the message
-  ret.custom_attributes = formatNested(ret.custom_attributes, settings);
+  ret.custom_attributes = common.formatAttributes(ret.custom_attributes, settings, drop);
+
+  // Traits mapped to standard fields with `.traitMappings`
+  extend(ret, mapped.fields);
+
+  // Leads are keyed by the visitor's anonymousId and have no signup date
+  if (exports.isLead(msg, settings)) {
+    ret.user_id = msg.anonymousId();
+    remove(ret, 'remote_created_at');
+  }
 
   return ret;
 };
@@ -96,13 +108,14 @@ exports.identify = function(msg, settings){
  *
  * @param {Track} msg
  * @param {Object} settings
+ * @param {Function} drop called with every attribute that is dropped
  * @return {Object}
  */
 
-exports.track = function(track, settings){
+exports.track = function(track, settings, drop){
   var ret = { items: [] };
   var revenue = track.revenue();
-  var properties = formatNested(formatMetadata(track.properties()), settings);
+  var properties = common.formatNested(common.formatMetadata(track.properties()), settings, drop);
   if (revenue) {
     var revenueData = {
       //Intercom requests value in cents
@@ -137,6 +150,48 @@ exports.track = function(track, settings){
   return ret;
 };
 
+/**
+ * Map track `msg` of a lead to an event of the lead with Intercom id `id`.
+ *
+ * Leads can't be sent through the Bulk API, their events are submitted
+ * one by one and addressed by the lead's `id`.
+ *
+ * https://developers.intercom.com/v1.4/reference#submitting-events
+ *
+ * @param {Track} msg
+ * @param {Object} settings
+ * @param {String} id
+ * @param {Function} drop called with every attribute that is dropped
+ * @return {Object}
+ */
+
+exports.leadEvent = function(msg, settings, id, drop){
+  var data = exports.track(msg, settings, drop).items[0].data;
+  remove(data, 'user_id');
+  data.id = id;
+  return data;
+};
+
+/**
+ * Map screen `msg`.
+ *
+ * Screens are sent as events named after `.screenEventTemplate`,
+ * "Viewed {{name}} Screen" by default
+ *
+ * @param {Screen} msg
+ * @param {Object} settings
+ * @param {Function} drop called with every attribute that is dropped
+ * @return {Object}
+ */
+
+exports.screen = function(msg, settings, drop){
+  var json = msg.json();
+  json.event = common.screenEvent(msg, settings);
+  json.timestamp = msg.timestamp();
+  json.properties = msg.properties();
+  return exports.track(new Track(json), settings, drop);
+};
+
 /**
  * Map group `msg`.
  *
@@ -145,281 +200,97 @@ exports.track = function(track, settings){
  *
  * @param {Group} msg
  * @param {Object} settings
+ * @param {Function} drop called with every attribute that is dropped
  * @return {Object}
  */
 
-exports.group = function(msg, settings) {
+exports.group = function(msg, settings, drop) {
   var ret = { items: [] };
-  var customTraits = removeDuplicateTraits(msg.traits());
-
-  // Reject any undefined/null values
-  var companyData = reject({
-    company_id: msg.groupId(),
-    name: msg.name(),
-    monthly_spend: msg.proxy('traits.monthlySpend'),
-    plan: msg.proxy('traits.plan'),
-    custom_attributes: formatNested(customTraits, settings)
-  });
-
-  if (msg.created()) companyData.remote_created_at = time(msg.created());
 
   var job = {
     method: 'post',
     data_type: 'user',
     data: {
       user_id: msg.userId(),
-      companies: [companyData]
+      companies: [exports.company(msg, settings, drop)]
     }
   };
 
+  if (exports.removes(msg, settings)) job.data.companies[0].remove = true;
+
   ret.items.push(job);
 
   return ret;
 };
 
 /**
- * Formats a company for use with intercom
+ * Map the company of group `msg`.
  *
- * http://docs.intercom.io/#Companies
+ * https://developers.intercom.com/reference#create-or-update-company
  *
- * @param {Object} msg
+ * @param {Group} msg
  * @param {Object} settings
- * @return {Array}
- * @api private
- */
-
-function formatCompany(msg, settings){
-  var ret = [];
-  var company = msg.proxy('traits.company') || msg.proxy('traits.companies');
-  // Wrapping in array to for DRY code
-  if (is.object(company)) company = [company];
-
-  if (is.string(company)){
-    var payload = reject({
-      name: company,
-      company_id: hash(company), // Legacy
-      monthly_spend: msg.proxy('traits.monthlySpend'),
-      plan: msg.proxy('traits.plan')
-    });
-
-    if (msg.created()) payload.remote_created_at = time(msg.created())
-
-    ret.push(payload);
-  } else if (is.array(company)){
-    each(function(company){
-      company = formatTraits(company);
-      var customTraits = removeDuplicateTraits(company);
-      var created = dot(company, 'created') || dot(company, 'createdAt');
-      var payload = reject({
-        name: company.name,
-        company_id: company.id || dot(company, 'company_id') || (company.name && hash(company.name)),
-        monthly_spend: dot(company, 'monthlySpend'),
-        remote_created_at: created,
-        plan: company.plan,
-        custom_attributes: formatNested(customTraits, settings),
-        remove: company.remove
-      });
-
-      ret.push(payload);
-    }, company);
-  }
-
-  return ret;
-}
-
-/**
- * Remove all redundant traits that's been mapped semantically already
- *
- * https://doc.intercom.io/api/#custom-attributes
- *
- * @param {Object} traits
- * @return {Object}
- * @api private
- */
-
-function removeDuplicateTraits(traits){
-  var customTraits = formatTraits(traits);
-  var semanticTraits = [
-    'companies',
-    'company',
-    'created_at',
-    'created',
-    'custom_attributes',
-    'company_id',
-    'id',
-    'name',
-    'monthly_spend',
-    'plan',
-    'remote_created_at',
-    'remove'
-  ];
-
-  // Remove duplicate/semantic traits
-  each(function(trait){
-    remove(customTraits, trait);
-  }, semanticTraits);
-
-  return customTraits;
-}
-
-/**
- * Format all the traits which are dates for intercoms format.
- *
- * https://doc.intercom.io/api/#custom-attributes
- *
- * @param {Object} traits
+ * @param {Function} drop called with every attribute that is dropped
  * @return {Object}
- * @api private
  */
 
-function formatTraits(traits){
-  if (is.array(traits)) return traits.map(formatTraits);
-  if (!is.object(traits)) return traits;
+exports.company = function(msg, settings, drop){
+  var mapped = mappings.message(msg, settings, 'company', drop);
+  msg = mapped.msg;
+  var customTraits = common.removeDuplicateTraits(mapped.traits);
+  if (settings.groupRemoveTrait) remove(customTraits, settings.groupRemoveTrait);
+  if (settings.tagsTrait) remove(customTraits, settings.tagsTrait);
 
-  var ret = {};
-  Object.keys(traits).forEach(function(key){
-    var val = traits[key];
-    if (is.array(val)) return ret[key] = val.map(formatTraits);
-    if (is.object(val)) return ret[key] = formatTraits(val);
-    if (isostring(val) || is.date(val)) return ret[dateKey(key)] = time(val);
-    ret[key] = val;
+  // Reject any undefined/null values
+  var ret = reject({
+    company_id: msg.groupId(),
+    name: msg.name(),
+    monthly_spend: msg.proxy('traits.monthlySpend'),
+    plan: msg.proxy('traits.plan'),
+    custom_attributes: common.formatAttributes(customTraits, settings, drop)
   });
 
+  if (msg.created()) ret.remote_created_at = time(msg.created());
+  var owner = common.ownerId(msg, settings, drop);
+  if (owner != null) ret.owner_id = owner;
+  extend(ret, mapped.fields);
+
   return ret;
-}
+};
 
 /**
- * Format all the properties.
+ * Check whether `msg` is from an anonymous visitor that should be sent as a lead
  *
- * https://developers.intercom.io/docs/event-metadata-types
+ * Only when `.createLeads` is enabled and there is neither a `userId` nor an email.
  *
- * @param {Object} props
- * @return {Object}
- * @api private
+ * https://developers.intercom.com/reference#leads
+ *
+ * @param {Facade} msg
+ * @param {Object} settings
+ * @return {Boolean}
  */
 
-function formatMetadata(props){
-  var ret = {};
-
-  Object.keys(props).forEach(function(key){
-    var val = props[key];
-
-    if (is.boolean(val)) {
-      ret[key] = String(val);
-      return;
-    }
-
-    if (is.number(val) || is.string(val)) {
-      ret[key] = val;
-      return;
-    }
-    if (isostring(val) || is.date(val)) {
-      ret[dateKey(key)] = time(val);
-      return;
-    }
-    if (is.array(val)) {
-      // Will flatten later
-      ret[key] = val;
-    }
-    if (is.object(val)) {
-      // Will flatten later
-      return ret[key] = val;
-    }
-  });
-
-  return ret;
-}
+exports.isLead = function(msg, settings){
+  return !!(settings.createLeads
+    && msg.anonymousId()
+    && !msg.userId()
+    && !msg.email());
+};
 
 /**
- * Flatten selectively based on your settings. You can either stringify, flatten, or drop the properties.
- * Intercom rejects nested objects so you must choose a method.
- *
- * @param {Object} obj
- * @param {Object} settings
- * @return {Object} ret
- * @api private
+ * Check whether group `msg` removes the user from the company, see `common.removes()`.
  */
 
-function formatNested(obj, settings){
-  var blacklisted = settings.blacklisted || {};
-  var defaultMethod = settings.defaultMethod || 'flatten';
-  var richLinkProperties = settings.richLinkProperties || [];
-
-  // have to remove rich link object from traits to be formatted and add it back in later
-  // clone obj so we dont modify the original
-  var traitsToFormat = clone(obj);
-
-  // remove rich link object from nested traits to be modified
-  each(function(property){
-    remove(traitsToFormat, property)
-  },richLinkProperties);
-
-  // create obj with rich link object to add to traits in the end
-  var richLinkTraits = pick(obj, richLinkProperties);
-
-  var  formattedTraits = foldl(function(attrs, value, key){
-    var trait = blacklisted[key];
-
-    if (trait === 'stringify') {
-      attrs.stringify[key] = value;
-    } else if (trait === 'flatten') {
-      attrs.flatten[key] = value;
-    } else if (trait === 'drop') {
-      return attrs;
-    } else if (typeof value === 'object') {
-      if (defaultMethod === 'stringify') attrs.stringify[key] = value;
-      if (defaultMethod === 'flatten') attrs.flatten[key] = value;
-      if (defaultMethod === 'drop') return attrs;
-    } else {
-      attrs.nonNestedTraits[key] = value;
-    }
-    return attrs;
-  }, { flatten: {}, stringify: {}, nonNestedTraits: {} }, traitsToFormat);
-
-  // stringify specified traits
-  var stringifiedTraits = foldl(function(ret, value, key) {
-    ret[key] = JSON.stringify(value);
-    return ret;
-  }, {}, formattedTraits.stringify);
-
-  // flatten specified traits
-  var flattenedTraits = foldl(function(ret, value, key) {
-    var pair = {};
-    pair[key] = value;
-    ret = extend(flatten(pair), ret);
-    return ret;
-  }, {}, formattedTraits.flatten);
-
-  //combine all traits
-  return extend(stringifiedTraits, flattenedTraits, formattedTraits.nonNestedTraits, richLinkTraits);
-}
+exports.removes = common.removes;
 
 /**
- * Set up a key with the dates for intercom
- *
- * http://docs.intercom.io/#CustomDataDates
- *
- * @param {String} key
- * @return {String}
- * @api private
+ * Map page `msg`, see `common.page()`.
  */
 
-function dateKey(key){
-  if (endswith(key, '_at')) return key;
-  if (endswith(key, ' at')) return key.substr(0, key.length - 3) + '_at';
-  if (endswith(key, 'At')) return key;
-  return key + '_at';
-}
+exports.page = common.page;
 
 /**
- * Test whether a string ends with the suffix
- *
- * @param {String} str
- * @param {String} suffix
- * @return {String}
- * @api private
+ * Map track `msg` to a note on the user, see `common.note()`.
  */
 
-function endswith(str, suffix){
-  return str.substr(str.length - suffix.length) === suffix;
-}
+exports.note = common.note;
@@ -0,0 +1,235 @@
+/**
+ * Module dependencies.
+ */
+
+var each = require('@ndhoule/each');
+var time = require('unix-time');
+var is = require('is');
+
+/**
+ * Standard fields traits can be mapped to, by type, with their formatting
+ */
+
+var FIELDS = {
+  user: {
+    name: same,
+    email: same,
+    phone: same,
+    avatar: avatar,
+    signed_up_at: date,
+    remote_created_at: date,
+    last_request_at: date,
+    unsubscribed_from_emails: bool
+  },
+  contact: {
+    name: same,
+    email: same,
+    phone: same,
+    avatar: same,
+    signed_up_at: date,
+    last_seen_at: date,
+    unsubscribed_from_emails: bool
+  },
+  company: {
+    name: same,
+    plan: same,
+    monthly_spend: same,
+    size: same,
+    website: same,
+    industry: same,
+    remote_created_at: date
+  }
+};
+
+/**
+ * RegExps compiled from `.attributeAllowlist` and `.attributeDenylist`, see `compile()`
+ */
+
+var PATTERNS = new WeakMap();
+
+/**
+ * Apply `.traitMappings` to `traits` of a `type` of record, either
+ * 'user', 'contact' or 'company'
+ *
+ * `.traitMappings` maps trait names to:
+ *
+ *    - a standard field of the record, like `avatar` or `signed_up_at`, to send the trait as that field
+ *    - any other name, to rename the custom attribute
+ *    - nothing (`''`, `false` or `null`), to drop the trait
+ *
+ * Traits without a mapping are left as they are. Dropped traits and values
+ * that can't be formatted for their field are passed to `drop`.
+ *
+ * @param {Object} traits
+ * @param {Object} settings
+ * @param {String} type
+ * @param {Function} drop called with every trait that is dropped
+ * @return {Object} `{ traits, fields }`, the traits left and the standard fields
+ * @api public
+ */
+
+exports.apply = function(traits, settings, type, drop){
+  var mappings = settings.traitMappings || {};
+  var fields = FIELDS[type];
+  var ret = { traits: {}, fields: {} };
+
+  each(function(value, key){
+    if (!mappings.hasOwnProperty(key)) {
+      ret.traits[key] = value;
+      return;
+    }
+
+    var target = mappings[key];
+    if (target && !fields.hasOwnProperty(target)) {
+      ret.traits[target] = value;
+      return;
+    }
+
+    var field = target ? fields[target](value) : undefined;
+    if (field !== undefined) ret.fields[target] = field;
+    else if (drop) drop(key);
+  }, traits || {});
+
+  return ret;
+};
+
+/**
+ * Apply `.traitMappings` to the traits of identify or group `msg`, see `.apply()`
+ *
+ * The message is rebuilt with the mapped traits so standard fields read from
+ * it, like `msg.email()` or `msg.name()`, see the mapped traits too.
+ *
+ * @param {Identify|Group} msg
+ * @param {Object} settings
+ * @param {String} type
+ * @param {Function} drop called with every trait that is dropped
+ * @return {Object} `{ msg, traits, fields }`
+ * @api public
+ */
+
+exports.message = function(msg, settings, type, drop){
+  var ret = exports.apply(msg.traits(), settings, type, drop);
+  var json = msg.json();
+  json.traits = ret.traits;
+  ret.msg = new msg.constructor(json, msg.opts);
+  return ret;
+};
+
+/**
+ * Filter flattened custom `attributes` with `.attributeAllowlist` and `.attributeDenylist`
+ *
+ * Both are lists of attribute paths where `*` matches anything, like `address.*`
+ * or `*_internal`. With an allowlist only matching attributes are kept, then
+ * attributes matching the denylist are dropped.
+ *
+ * @param {Object} attributes
+ * @param {Object} settings
+ * @param {Function} drop called with every attribute that is dropped
+ * @return {Object}
+ * @api public
+ */
+
+exports.filter = function(attributes, settings, drop){
+  var allowlist = settings.attributeAllowlist || [];
+  var denylist = settings.attributeDenylist || [];
+  var ret = {};
+
+  if (!allowlist.length && !denylist.length) return attributes;
+
+  each(function(value, key){
+    var allowed = !allowlist.length || matches(allowlist, key);
+    if (allowed && !matches(denylist, key)) {
+      ret[key] = value;
+    } else if (drop) {
+      drop(key);
+    }
+  }, attributes);
+
+  return ret;
+};
+
+/**
+ * Check whether `path` matches any of `patterns`
+ *
+ * @param {Array} patterns
+ * @param {String} path
+ * @return {Boolean}
+ * @api private
+ */
+
+function matches(patterns, path){
+  return patterns.length > 0 && compile(patterns).test(path);
+}
+
+/**
+ * Compile `patterns` to a single RegExp, once per array of patterns
+ *
+ * @param {Array} patterns
+ * @return {RegExp}
+ * @api private
+ */
+
+function compile(patterns){
+  var regexp = PATTERNS.get(patterns);
+  if (regexp) return regexp;
+
+  var sources = patterns.map(function(pattern){
+    return pattern.split('*').map(function(part){
+      return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    }).join('.*');
+  });
+
+  regexp = new RegExp('^(?:' + sources.join('|') + ')$');
+  PATTERNS.set(patterns, regexp);
+  return regexp;
+}
+
+/**
+ * Leave `value` as it is
+ *
+ * @param {Mixed} value
+ * @return {Mixed}
+ * @api private
+ */
+
+function same(value){
+  return value;
+}
+
+/**
+ * Format `value` as a unix timestamp, numbers are assumed to be one already
+ *
+ * @param {Mixed} value
+ * @return {Number}
+ * @api private
+ */
+
+function date(value){
+  return is.number(value) ? value : time(value);
+}
+
+/**
+ * Parse `value` as a boolean, only `true`, `false`, `'true'`, `'false'`,
+ * `1` and `0` are understood
+ *
+ * @param {Mixed} value
+ * @return {Boolean}
+ * @api private
+ */
+
+function bool(value){
+  if (value === true || value === 'true' || value === 1) return true;
+  if (value === false || value === 'false' || value === 0) return false;
+}
+
+/**
+ * Format the avatar at url `value`
+ *
+ * @param {String} value
+ * @return {Object}
+ * @api private
+ */
+
+function avatar(value){
+  return { type: 'avatar', image_url: value };
+}
@@ -0,0 +1,103 @@
+/**
+ * Module dependencies.
+ */
+
+var Stats = require('dog-statsy');
+var is = require('is');
+
+/**
+ * Statsd clients by address, so instances don't each open a socket
+ */
+
+var CLIENTS = {};
+
+/**
+ * Expose `Metrics`
+ */
+
+module.exports = Metrics;
+
+/**
+ * Report metrics of the integration to `sink`
+ *
+ * `sink` is either:
+ *
+ *    - a statsd client with `.incr(name, value, tags)` and `.histogram(name, value, tags)`
+ *    - a function called with `{ type, name, value, tags }`
+ *    - an emitter, emitting `metric` with `{ type, name, value, tags }`
+ *    - nothing, to drop metrics
+ *
+ * @param {Object|Function} sink
+ * @api public
+ */
+
+function Metrics(sink){
+  if (!(this instanceof Metrics)) return new Metrics(sink);
+  this.sink = sink;
+}
+
+/**
+ * Create a statsd client for `options.host` and `options.port`
+ *
+ * @param {Object} options
+ * @return {Stats}
+ * @api public
+ */
+
+Metrics.statsd = function(options){
+  var address = [options.host, options.port || 8125].join(':');
+  if (!CLIENTS[address]) {
+    CLIENTS[address] = new Stats({
+      host: options.host,
+      port: options.port || 8125,
+      prefix: options.prefix || 'intercom'
+    });
+  }
+  return CLIENTS[address];
+};
+
+/**
+ * Increment counter `name` by `value`
+ *
+ * @param {String} name
+ * @param {Number} value
+ * @param {Array} tags
+ * @api public
+ */
+
+Metrics.prototype.incr = function(name, value, tags){
+  this.send('incr', name, value, tags);
+};
+
+/**
+ * Record `value` of histogram `name`, like a duration in ms
+ *
+ * @param {String} name
+ * @param {Number} value
+ * @param {Array} tags
+ * @api public
+ */
+
+Metrics.prototype.histogram = function(name, value, tags){
+  this.send('histogram', name, value, tags);
+};
+
+/**
+ * Send a metric of `type` to the sink
+ *
+ * @param {String} type
+ * @param {String} name
+ * @param {Number} value
+ * @param {Array} tags
+ * @api private
+ */
+
+Metrics.prototype.send = function(type, name, value, tags){
+  var sink = this.sink;
+  var metric = { type: type, name: name, value: value, tags: tags || [] };
+
+  if (!sink) return;
+  if (is.fn(sink)) return sink(metric);
+  if (is.fn(sink[type])) return sink[type](name, value, metric.tags);
+  if (is.fn(sink.emit)) return sink.emit('metric', metric);
+};
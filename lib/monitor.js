@@ -0,0 +1,424 @@
+/**
+ * Module dependencies.
+ */
+
+var Emitter = require('events').EventEmitter;
+var inherits = require('util').inherits;
+var each = require('@ndhoule/each');
+var fmt = require('@segment/fmt');
+var Batch = require('batch');
+var PENDING_JOB = require('./store').PENDING_JOB;
+
+/**
+ * How long to remember which message an item was sent for.
+ * Jobs close after 15 minutes and their error feed is only complete after that.
+ */
+
+var MESSAGE_TTL = 60 * 60 * 1000;
+
+/**
+ * How often to check the jobs items were sent to, unless `.monitorInterval` is set
+ */
+
+var MONITOR_INTERVAL = 60 * 1000;
+
+/**
+ * Job states that come with an error feed
+ *
+ * https://developers.intercom.com/reference#job-model
+ */
+
+var FAILED_STATES = ['completed_with_errors', 'failed'];
+
+/**
+ * Job states after which no more items are processed
+ */
+
+var FINAL_STATES = ['completed'].concat(FAILED_STATES);
+
+/**
+ * Expose `Monitor`
+ */
+
+module.exports = Monitor;
+
+/**
+ * Monitor Bulk Jobs of `integration` for items Intercom failed to process
+ *
+ * Intercom accepts every item of a Bulk API request with a 202 and only
+ * reports failed items later through the job's error feed. The monitor fetches
+ * that feed, maps each failed item back to the message it was sent for and
+ * emits a `failure` event for it.
+ *
+ * Jobs items were recorded for are checked every `.monitorInterval` ms
+ * (0 turns it off) until they're done. Workers share the store, so only the
+ * first worker to see a job done reports its failures.
+ *
+ * @param {Intercom} integration
+ * @api public
+ */
+
+function Monitor(integration){
+  if (!(this instanceof Monitor)) return new Monitor(integration);
+  Emitter.call(this);
+  this.integration = integration;
+  this.jobs = {};
+}
+
+/**
+ * Inherit `Emitter`
+ */
+
+inherits(Monitor, Emitter);
+
+/**
+ * Remember the messages `items` of job `jobId` were sent for
+ *
+ * Items are kept by their index within the job: every request to the job
+ * gets a number from a counter and stores the items it sent under it, so
+ * sending costs two writes however many items there are.
+ *
+ * @param {String} jobId
+ * @param {Array} items
+ * @param {Array} messageIds same order as `items`
+ * @param {Function} fn
+ * @api public
+ */
+
+Monitor.prototype.record = function(jobId, items, messageIds, fn){
+  var store = this.integration.store();
+  var key = jobKey(this.integration, jobId);
+  var sent = items.map(function(item, i){
+    return [fingerprint(item), messageIds[i] || null];
+  });
+
+  this.watch(jobId);
+  store.incr(key + ':requests', 1, MESSAGE_TTL, function(err, n){
+    if (err) return fn(err);
+    store.set(key + ':requests:' + n, JSON.stringify(sent), MESSAGE_TTL, function(err){
+      fn(err);
+    });
+  });
+};
+
+/**
+ * Check job `jobId` every `.monitorInterval` ms until it's done
+ *
+ * @param {String} jobId
+ * @api private
+ */
+
+Monitor.prototype.watch = function(jobId){
+  var interval = this.integration.settings.monitorInterval;
+  if (interval == null) interval = MONITOR_INTERVAL;
+  if (!interval) return;
+
+  if (!this.jobs[jobId]) this.jobs[jobId] = Date.now();
+  if (this.timer) return;
+  this.timer = setInterval(this.tick.bind(this), interval);
+  if (this.timer.unref) this.timer.unref();
+};
+
+/**
+ * Stop checking job `jobId`, and stop the timer once no jobs are left
+ *
+ * @param {String} jobId
+ * @api private
+ */
+
+Monitor.prototype.unwatch = function(jobId){
+  delete this.jobs[jobId];
+  if (Object.keys(this.jobs).length) return;
+  clearInterval(this.timer);
+  this.timer = null;
+};
+
+/**
+ * Check every watched job once, see `.finish()`
+ *
+ * Jobs older than their recorded items are dropped, and a tick is skipped
+ * while the previous one is still running.
+ *
+ * @api private
+ */
+
+Monitor.prototype.tick = function(){
+  if (this.ticking) return;
+  var integration = this.integration;
+  var batch = new Batch;
+  var self = this;
+
+  each(function(since, jobId){
+    if (Date.now() - since > MESSAGE_TTL) return self.unwatch(jobId);
+    batch.push(function(done){
+      self.finish(jobId, function(err, finished){
+        if (err) integration.debug('checking job %s failed: %s', jobId, err.message);
+        if (finished) self.unwatch(jobId);
+        done();
+      });
+    });
+  }, this.jobs);
+
+  this.ticking = true;
+  batch.end(function(){
+    self.ticking = false;
+  });
+};
+
+/**
+ * Report the failures of job `jobId` if it's done
+ *
+ * The report is claimed in the store so only one worker reports a job.
+ *
+ * @param {String} jobId
+ * @param {Function} fn called with whether the job is done
+ * @api private
+ */
+
+Monitor.prototype.finish = function(jobId, fn){
+  var store = this.integration.store();
+  var key = jobKey(this.integration, jobId) + ':reported';
+  var self = this;
+
+  this.job(jobId, function(err, job){
+    if (err) return fn(err);
+    if (FINAL_STATES.indexOf(job.state) === -1) return fn(null, false);
+
+    store.cas(key, null, '1', MESSAGE_TTL, function(err, claimed){
+      if (err) return fn(err);
+      if (!claimed) return fn(null, true);
+      self.report(jobId, job, function(err){
+        fn(err, true);
+      });
+    });
+  });
+};
+
+/**
+ * Check the jobs stored under `jobKeys` in the integration's store
+ *
+ * @param {Array} jobKeys
+ * @param {Function} fn called with an array of results, see `.check()`
+ * @api public
+ */
+
+Monitor.prototype.poll = function(jobKeys, fn){
+  var store = this.integration.store();
+  var batch = new Batch;
+  var self = this;
+
+  each(function(jobKey){
+    batch.push(function(done){
+      store.get(jobKey, function(err, jobId){
+        if (err) return done(err);
+        if (!jobId || jobId === PENDING_JOB) return done();
+        self.check(jobId, done);
+      });
+    });
+  }, jobKeys);
+
+  batch.end(function(err, results){
+    if (err) return fn(err);
+    fn(null, results.filter(Boolean));
+  });
+};
+
+/**
+ * Fetch the status of job `jobId` and, if it has failed items, its error feed
+ *
+ * https://developers.intercom.com/reference#view-a-job
+ * https://developers.intercom.com/reference#view-job-errors
+ *
+ * @param {String} jobId
+ * @param {Function} fn called with `{ job, failures }`
+ * @api public
+ */
+
+Monitor.prototype.check = function(jobId, fn){
+  var self = this;
+
+  this.job(jobId, function(err, job){
+    if (err) return fn(err);
+    self.report(jobId, job, fn);
+  });
+};
+
+/**
+ * Fetch job `jobId`
+ *
+ * @param {String} jobId
+ * @param {Function} fn
+ * @api private
+ */
+
+Monitor.prototype.job = function(jobId, fn){
+  var integration = this.integration;
+  var self = this;
+
+  integration
+    .get(fmt('/jobs/%s', jobId))
+    .set(integration.headers())
+    .accept('json')
+    .end(integration.handle(function(err, res){
+      if (err) return fn(err);
+      self.emit('job', res.body);
+      fn(null, res.body);
+    }));
+};
+
+/**
+ * Fetch the error feed of `job` if it has failed items and map them back
+ * to their messages
+ *
+ * @param {String} jobId
+ * @param {Object} job
+ * @param {Function} fn called with `{ job, failures }`
+ * @api private
+ */
+
+Monitor.prototype.report = function(jobId, job, fn){
+  var integration = this.integration;
+  var self = this;
+
+  if (FAILED_STATES.indexOf(job.state) === -1) {
+    return fn(null, { job: job, failures: [] });
+  }
+
+  integration
+    .get(fmt('/jobs/%s/error', jobId))
+    .set(integration.headers())
+    .accept('json')
+    .end(integration.handle(function(err, res){
+      if (err) return fn(err);
+      self.failures(jobId, res.body.items || [], function(err, failures){
+        if (err) return fn(err);
+        fn(null, { job: job, failures: failures });
+      });
+    }));
+};
+
+/**
+ * Map failed `items` of job `jobId` back to their messages and emit them
+ *
+ * @param {String} jobId
+ * @param {Array} items
+ * @param {Function} fn
+ * @api private
+ */
+
+Monitor.prototype.failures = function(jobId, items, fn){
+  var self = this;
+
+  this.sent(jobId, function(err, sent){
+    if (err) return fn(err);
+
+    // Items of the same user share a fingerprint, they are matched to
+    // the items sent in the order they were sent
+    var claimed = {};
+    var failures = items.map(function(item){
+      var index = find(sent, fingerprint(item), claimed);
+      if (index !== -1) claimed[index] = true;
+      return {
+        jobId: jobId,
+        index: index === -1 ? null : index,
+        messageId: index === -1 ? null : sent[index][1],
+        dataType: item.data_type,
+        item: item,
+        error: item.error
+      };
+    });
+
+    each(function(failure){
+      self.emit('failure', failure);
+    }, failures);
+    fn(null, failures);
+  });
+};
+
+/**
+ * Get the `[fingerprint, messageId]` of every item sent to job `jobId`, by index
+ *
+ * @param {String} jobId
+ * @param {Function} fn
+ * @api private
+ */
+
+Monitor.prototype.sent = function(jobId, fn){
+  var store = this.integration.store();
+  var key = jobKey(this.integration, jobId) + ':requests';
+
+  store.get(key, function(err, count){
+    if (err) return fn(err);
+    var batch = new Batch;
+
+    for (var n = 1; n <= Number(count); n++) {
+      batch.push(get(key + ':' + n));
+    }
+
+    batch.end(function(err, requests){
+      if (err) return fn(err);
+      fn(null, [].concat.apply([], requests));
+    });
+  });
+
+  function get(key){
+    return function(done){
+      store.get(key, function(err, value){
+        if (err) return done(err);
+        try {
+          done(null, value ? JSON.parse(value) : []);
+        } catch (e) {
+          done(null, []);
+        }
+      });
+    };
+  }
+};
+
+/**
+ * Get the store key of job `jobId` of `integration`
+ *
+ * @param {Intercom} integration
+ * @param {String} jobId
+ * @return {String}
+ * @api private
+ */
+
+function jobKey(integration, jobId){
+  return [integration.settings.appId, 'jobs', jobId].join(':');
+}
+
+/**
+ * Find the first index of `sent` with `print` that isn't `claimed`
+ *
+ * @param {Array} sent
+ * @param {String} print
+ * @param {Object} claimed
+ * @return {Number}
+ * @api private
+ */
+
+function find(sent, print, claimed){
+  for (var i = 0; i < sent.length; i++) {
+    if (sent[i][0] === print && !claimed[i]) return i;
+  }
+  return -1;
+}
+
+/**
+ * Identify a bulk `item` by the fields Intercom echoes back in the error feed
+ *
+ * @param {Object} item
+ * @return {String}
+ * @api private
+ */
+
+function fingerprint(item){
+  var data = item.data || {};
+  return [
+    item.data_type,
+    data.user_id || data.email,
+    data.event_name,
+    data.created_at
+  ].join(':');
+}
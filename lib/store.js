@@ -0,0 +1,384 @@
+/**
+ * Module dependencies.
+ */
+
+var ResourceLockedError = require('segmentio-integration').errors.ResourceLockedError;
+var fmt = require('@segment/fmt');
+var tick = setImmediate;
+
+/**
+ * Expose stores.
+ *
+ * A store keeps the open Bulk Jobs and the locks of the integration
+ * and must implement:
+ *
+ *    .get(key, fn)
+ *    .set(key, value, ttl, fn)
+ *    .del(keys, fn)
+ *    .cas(key, expected, value, ttl, fn)
+ *    .incr(key, by, ttl, fn)
+ *    .lock(key, ttl, fn)
+ *    .unlock(key, fn)
+ *
+ * `ttl`s are in ms and `fn` is called with `(err, value)` like redis.
+ */
+
+exports.RedisStore = RedisStore;
+exports.MemoryStore = MemoryStore;
+
+/**
+ * Value stored under a job key while its job is being created
+ */
+
+exports.PENDING_JOB = 'pending';
+
+/**
+ * Set `KEYS[1]` to `ARGV[2]` for `ARGV[3]` ms if it is still `ARGV[1]`
+ */
+
+var CAS_SCRIPT = [
+  'if redis.call("get", KEYS[1]) == ARGV[1] then',
+  '  return redis.call("set", KEYS[1], ARGV[2], "PX", ARGV[3])',
+  'end'
+].join('\n');
+
+/**
+ * Increment `KEYS[1]` by `ARGV[1]`, expiring it in `ARGV[2]` ms if it has no expiry yet
+ */
+
+var INCR_SCRIPT = [
+  'local value = redis.call("incrby", KEYS[1], ARGV[1])',
+  'if redis.call("pttl", KEYS[1]) < 0 then',
+  '  redis.call("pexpire", KEYS[1], ARGV[2])',
+  'end',
+  'return value'
+].join('\n');
+
+/**
+ * How often a `MemoryStore` drops its expired entries by default
+ */
+
+var SWEEP_INTERVAL = 60 * 1000;
+
+/**
+ * Store shared by all workers through `client`
+ *
+ * @param {Redis} client
+ * @api public
+ */
+
+function RedisStore(client){
+  if (!(this instanceof RedisStore)) return new RedisStore(client);
+  this.client = client;
+}
+
+/**
+ * Get `key`.
+ *
+ * @param {String} key
+ * @param {Function} fn
+ * @api public
+ */
+
+RedisStore.prototype.get = function(key, fn){
+  this.client.get(key, fn);
+};
+
+/**
+ * Set `key` to `value` for `ttl` ms.
+ *
+ * @param {String} key
+ * @param {String} value
+ * @param {Number} ttl
+ * @param {Function} fn
+ * @api public
+ */
+
+RedisStore.prototype.set = function(key, value, ttl, fn){
+  this.client.set(key, value, 'PX', ttl, fn);
+};
+
+/**
+ * Delete `keys`.
+ *
+ * @param {Array} keys
+ * @param {Function} fn
+ * @api public
+ */
+
+RedisStore.prototype.del = function(keys, fn){
+  this.client.del(keys, fn);
+};
+
+/**
+ * Set `key` to `value` for `ttl` ms only if it is currently `expected`,
+ * a `null` `expected` means only if `key` is not set.
+ *
+ * @param {String} key
+ * @param {String} expected
+ * @param {String} value
+ * @param {Number} ttl
+ * @param {Function} fn called with whether `key` was set
+ * @api public
+ */
+
+RedisStore.prototype.cas = function(key, expected, value, ttl, fn){
+  if (expected == null) {
+    return this.client.set(key, value, 'NX', 'PX', ttl, function(err, ok){
+      fn(err, !!ok);
+    });
+  }
+
+  this.client.eval(CAS_SCRIPT, 1, key, expected, value, ttl, function(err, ok){
+    fn(err, !!ok);
+  });
+};
+
+/**
+ * Increment the number stored under `key` by `by`, a missing `key` counts
+ * as 0 and is set to expire in `ttl` ms.
+ *
+ * @param {String} key
+ * @param {Number} by
+ * @param {Number} ttl
+ * @param {Function} fn called with the incremented number
+ * @api public
+ */
+
+RedisStore.prototype.incr = function(key, by, ttl, fn){
+  this.client.eval(INCR_SCRIPT, 1, key, by, ttl, function(err, value){
+    fn(err, value == null ? value : Number(value));
+  });
+};
+
+/**
+ * Lock `key` for `ttl` ms, errors if it's already locked.
+ *
+ * @param {String} key
+ * @param {Number} ttl
+ * @param {Function} fn
+ * @api public
+ */
+
+RedisStore.prototype.lock = function(key, ttl, fn){
+  this.client.set(key, 1, 'NX', 'PX', ttl, function(err, ok){
+    if (err) return fn(err);
+    if (!ok) return fn(locked(key));
+    return fn();
+  });
+};
+
+/**
+ * Unlock `key`.
+ *
+ * @param {String} key
+ * @param {Function} fn
+ * @api public
+ */
+
+RedisStore.prototype.unlock = function(key, fn){
+  this.client.del(key, fn);
+};
+
+/**
+ * Store local to this process, for single worker deployments and tests
+ *
+ * Expired entries are swept every `options.sweepInterval` ms, only while
+ * there are entries to sweep.
+ *
+ * @param {Object} options
+ * @api public
+ */
+
+function MemoryStore(options){
+  if (!(this instanceof MemoryStore)) return new MemoryStore(options);
+  this.sweepInterval = (options || {}).sweepInterval || SWEEP_INTERVAL;
+  this.entries = {};
+}
+
+/**
+ * Get `key`.
+ *
+ * @param {String} key
+ * @param {Function} fn
+ * @api public
+ */
+
+MemoryStore.prototype.get = function(key, fn){
+  var value = this.read(key);
+  tick(function(){
+    fn(null, value);
+  });
+};
+
+/**
+ * Set `key` to `value` for `ttl` ms.
+ *
+ * @param {String} key
+ * @param {String} value
+ * @param {Number} ttl
+ * @param {Function} fn
+ * @api public
+ */
+
+MemoryStore.prototype.set = function(key, value, ttl, fn){
+  this.write(key, value, ttl);
+  tick(function(){
+    fn(null, 'OK');
+  });
+};
+
+/**
+ * Delete `keys`.
+ *
+ * @param {Array} keys
+ * @param {Function} fn
+ * @api public
+ */
+
+MemoryStore.prototype.del = function(keys, fn){
+  var entries = this.entries;
+  [].concat(keys).forEach(function(key){
+    delete entries[key];
+  });
+  tick(function(){
+    fn(null);
+  });
+};
+
+/**
+ * Set `key` to `value` for `ttl` ms only if it is currently `expected`,
+ * a `null` `expected` means only if `key` is not set.
+ *
+ * @param {String} key
+ * @param {String} expected
+ * @param {String} value
+ * @param {Number} ttl
+ * @param {Function} fn called with whether `key` was set
+ * @api public
+ */
+
+MemoryStore.prototype.cas = function(key, expected, value, ttl, fn){
+  var ok = this.read(key) === (expected == null ? null : String(expected));
+  if (ok) this.write(key, value, ttl);
+  tick(function(){
+    fn(null, ok);
+  });
+};
+
+/**
+ * Increment the number stored under `key` by `by`, a missing `key` counts
+ * as 0 and is set to expire in `ttl` ms.
+ *
+ * @param {String} key
+ * @param {Number} by
+ * @param {Number} ttl
+ * @param {Function} fn called with the incremented number
+ * @api public
+ */
+
+MemoryStore.prototype.incr = function(key, by, ttl, fn){
+  var current = this.read(key);
+  var value = (parseInt(current, 10) || 0) + by;
+  if (current == null) this.write(key, value, ttl);
+  else this.entries[key].value = String(value);
+  tick(function(){
+    fn(null, value);
+  });
+};
+
+/**
+ * Lock `key` for `ttl` ms, errors if it's already locked.
+ *
+ * @param {String} key
+ * @param {Number} ttl
+ * @param {Function} fn
+ * @api public
+ */
+
+MemoryStore.prototype.lock = function(key, ttl, fn){
+  var err = this.read(key) == null ? null : locked(key);
+  if (!err) this.write(key, '1', ttl);
+  tick(function(){
+    fn(err);
+  });
+};
+
+/**
+ * Unlock `key`.
+ *
+ * @param {String} key
+ * @param {Function} fn
+ * @api public
+ */
+
+MemoryStore.prototype.unlock = function(key, fn){
+  this.del(key, fn);
+};
+
+/**
+ * Read `key`, dropping it if it expired.
+ *
+ * @param {String} key
+ * @return {String}
+ * @api private
+ */
+
+MemoryStore.prototype.read = function(key){
+  var entry = this.entries[key];
+  if (!entry) return null;
+  if (entry.expires <= Date.now()) {
+    delete this.entries[key];
+    return null;
+  }
+  return entry.value;
+};
+
+/**
+ * Write `value` to `key` for `ttl` ms.
+ *
+ * @param {String} key
+ * @param {String} value
+ * @param {Number} ttl
+ * @api private
+ */
+
+MemoryStore.prototype.write = function(key, value, ttl){
+  this.entries[key] = {
+    value: String(value),
+    expires: Date.now() + ttl
+  };
+
+  if (this.sweeper) return;
+  this.sweeper = setInterval(this.sweep.bind(this), this.sweepInterval);
+  if (this.sweeper.unref) this.sweeper.unref();
+};
+
+/**
+ * Drop expired entries, and stop sweeping once there are none left.
+ *
+ * @api private
+ */
+
+MemoryStore.prototype.sweep = function(){
+  var now = Date.now();
+  for (var key in this.entries) {
+    if (this.entries[key].expires <= now) delete this.entries[key];
+  }
+
+  if (Object.keys(this.entries).length) return;
+  clearInterval(this.sweeper);
+  this.sweeper = null;
+};
+
+/**
+ * Create the error for locked `key`.
+ *
+ * @param {String} key
+ * @return {ResourceLockedError}
+ * @api private
+ */
+
+function locked(key){
+  return new ResourceLockedError(fmt('key `%s` is locked', key), 'Intercom');
+}
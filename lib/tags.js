@@ -0,0 +1,122 @@
+/**
+ * Module dependencies.
+ */
+
+var each = require('@ndhoule/each');
+var is = require('is');
+
+/**
+ * Get the tags to apply or remove for identify or group `msg`
+ *
+ * Tags are given with `context.Intercom.tags` and, if `.tagsTrait` is set,
+ * with the trait it names. Either is a list of tag names to apply or an
+ * object of tag names to `true` to apply or `false` to remove them.
+ *
+ * Boolean audience traits of identify calls, see `.audiences()`, apply
+ * the tag named after them while `true` and remove it once `false`. Their
+ * ops are flagged with `audience` so only changes need to be sent.
+ *
+ * @param {Identify|Group} msg
+ * @param {Object} settings
+ * @return {Array} `{ name, untag, audience }` for every tag
+ * @api public
+ */
+
+exports.parse = function(msg, settings){
+  var context = msg.options('Intercom') || {};
+  var ret = [];
+  var seen = {};
+
+  add(context.tags);
+  if (settings.tagsTrait) add(msg.proxy('traits.' + settings.tagsTrait));
+
+  if (msg.type() === 'identify') {
+    var traits = msg.traits();
+    each(function(name){
+      push(name, !traits[name], true);
+    }, exports.audiences(traits, settings));
+  }
+
+  return ret;
+
+  function add(tags){
+    if (is.array(tags)) {
+      each(function(name){
+        push(name, false);
+      }, tags);
+    } else if (is.object(tags)) {
+      each(function(apply, name){
+        if (is.boolean(apply)) push(name, !apply);
+      }, tags);
+    }
+  }
+
+  function push(name, untag, audience){
+    if (!is.string(name) || !name || seen[name]) return;
+    seen[name] = true;
+    ret.push({ name: name, untag: untag, audience: !!audience });
+  }
+};
+
+/**
+ * Map tag `op` of `msg` to an entry of a tag request, users for identify
+ * and companies for group calls. Returns nothing if `msg` has no one to tag.
+ *
+ * https://developers.intercom.com/reference#tag-or-untag-users-companies-leads-contacts
+ *
+ * @param {Identify|Group} msg
+ * @param {Object} op
+ * @return {Object} `{ name, type, item }`
+ * @api public
+ */
+
+exports.format = function(msg, op){
+  var item;
+  var type;
+
+  if (msg.type() === 'group') {
+    type = 'companies';
+    item = { company_id: msg.groupId() };
+  } else if (msg.userId()) {
+    type = 'users';
+    item = { user_id: msg.userId() };
+  } else if (msg.email()) {
+    type = 'users';
+    item = { email: msg.email() };
+  } else {
+    return;
+  }
+
+  if (op.untag) item.untag = true;
+
+  return {
+    name: op.name,
+    type: type,
+    item: item
+  };
+};
+
+/**
+ * Get the names of the audience traits in `traits`
+ *
+ * Audiences are boolean traits listed in `.audienceTraits` or starting
+ * with `.audiencePrefix`. They are synced as tags, not as attributes.
+ *
+ * @param {Object} traits
+ * @param {Object} settings
+ * @return {Array}
+ * @api public
+ */
+
+exports.audiences = function(traits, settings){
+  var names = settings.audienceTraits || [];
+  var prefix = settings.audiencePrefix;
+  var ret = [];
+
+  each(function(value, name){
+    if (!is.boolean(value)) return;
+    if (names.indexOf(name) !== -1 || (prefix && name.indexOf(prefix) === 0)) ret.push(name);
+  }, traits || {});
+
+  return ret;
+};
@@ -5,6 +5,7 @@ var facade = require('segmentio-facade');
 var hash = require('string-hash');
 var mapperV2 = require('../lib/mapper-v2');
 var mapperV1 = require('../lib/mapper-v1');
+var mapperContacts = require('../lib/mapper-contacts');
 var time = require('unix-time');
 var should = require('should');
 var assert = require('assert');
@@ -12,6 +13,15 @@ var Intercom = require('..');
 var redis = require('redis');
 var uid = require('uid');
 
+// `.traitMappings` of the trait mappings fixtures
+var traitMappings = {
+  photo: 'avatar',
+  favColor: 'favorite_color',
+  legacyScore: null,
+  signupDate: 'signed_up_at',
+  employees: 'size'
+};
+
 describe('Intercom V2', function(){
   var intercom;
   var settings;
@@ -55,7 +65,14 @@ describe('Intercom V2', function(){
     test
       .name('Intercom')
       .endpoint('https://api-segment.intercom.io')
-      .channels(['server']);
+      .channels(['server', 'mobile']);
+  });
+
+  it('should only accept screen calls from mobile sources', function(){
+    assert(intercom.enabled(new facade.Screen({ userId: '12345', channel: 'mobile' })));
+    assert(!intercom.enabled(new facade.Track({ userId: '12345', channel: 'mobile' })));
+    assert(!intercom.enabled(new facade.Identify({ userId: '12345', channel: 'mobile' })));
+    assert(intercom.enabled(new facade.Track({ userId: '12345', channel: 'server' })));
   });
 
   describe('.validate()', function(){
@@ -98,6 +115,136 @@ describe('Intercom V2', function(){
     it('should be valid when .apiKey, .appId, and .oauth[\'access-token\'] are given', function(){
       test.valid({ userId: '12345' }, settings);
     });
+
+    it('should be invalid when just .anonymousId is given', function(){
+      test.invalid({ type: 'identify', anonymousId: '12345' }, settings);
+    });
+
+    it('should be valid when just .anonymousId is given if .createLeads', function(){
+      settings.createLeads = true;
+      test.valid({ type: 'identify', anonymousId: '12345' }, settings);
+      test.valid({ type: 'track', anonymousId: '12345' }, settings);
+    });
+
+    it('should only accept leads for identify and track', function(){
+      settings.createLeads = true;
+      test.invalid({ type: 'group', anonymousId: '12345' }, settings);
+    });
+
+    it('should be valid for a known .region', function(){
+      settings.region = 'eu';
+      test.valid({ userId: '12345' }, settings);
+    });
+
+    it('should be invalid for an unknown .region', function(){
+      settings.region = 'mars';
+      test.invalid({ userId: '12345' }, settings);
+    });
+
+    it('should be invalid if .endpoint is not an https url', function(){
+      settings.endpoint = 'http://api.intercom.io/v2';
+      test.invalid({ userId: '12345' }, settings);
+    });
+
+    it('should be valid for a supported .apiVersion', function(){
+      settings.apiVersion = '1.4';
+      test.valid({ userId: '12345' }, settings);
+    });
+
+    it('should be invalid for an unsupported .apiVersion', function(){
+      settings.apiVersion = '0.9';
+      test.invalid({ userId: '12345' }, settings);
+    });
+
+    it('should be invalid if context.Intercom.ownerId is not an admin id', function(){
+      test.invalid({ userId: '12345', context: { Intercom: { ownerId: 'jane@example.com' } } }, settings);
+      test.valid({ userId: '12345', context: { Intercom: { ownerId: 814860 } } }, settings);
+    });
+
+    it('should be invalid if .ownerTrait has no .ownerAdmins', function(){
+      settings.ownerTrait = 'account_manager_email';
+      test.invalid({ userId: '12345' }, settings);
+    });
+
+    it('should be invalid if .ownerAdmins maps to something other than admin ids', function(){
+      settings.ownerTrait = 'account_manager_email';
+      settings.ownerAdmins = { 'jane@example.com': '814860', 'joe@example.com': 'joe' };
+      test.invalid({ userId: '12345' }, settings);
+      settings.ownerAdmins['joe@example.com'] = 814861;
+      test.valid({ userId: '12345' }, settings);
+    });
+
+    it('should be invalid for an unknown .groupMode', function(){
+      settings.groupMode = 'users';
+      test.invalid({ type: 'group', userId: '12345', groupId: '1' }, settings);
+    });
+
+    it('should only require .groupId when .groupMode is company', function(){
+      test.invalid({ type: 'group', groupId: '1' }, settings);
+      settings.groupMode = 'company';
+      test.valid({ type: 'group', groupId: '1' }, settings);
+    });
+
+    it('should be invalid to remove the user from the company when .groupMode is company', function(){
+      settings.groupMode = 'company';
+      test.invalid({ type: 'group', userId: '12345', groupId: '1', context: { Intercom: { remove: true } } }, settings);
+    });
+  });
+
+  describe('.headers()', function(){
+    it('should not pin an API version by default', function(){
+      assert(!intercom.headers().hasOwnProperty('Intercom-Version'));
+    });
+
+    it('should send .apiVersion as Intercom-Version', function(){
+      settings.apiVersion = 1.4;
+      intercom = new Intercom(settings);
+      assert.equal(intercom.headers()['Intercom-Version'], '1.4');
+    });
+
+    it('should send a whole number .apiVersion as a minor version', function(){
+      settings.apiVersion = 1;
+      intercom = new Intercom(settings);
+      assert.equal(intercom.headers()['Intercom-Version'], '1.0');
+    });
+
+    it('should identify with a pinned .apiVersion', function(done){
+      settings.apiVersion = '1.4';
+      test
+        .set(settings)
+        .identify(helpers.identify({ userId: uid() }))
+        .expects(200)
+        .end(done);
+    });
+  });
+
+  describe('.endpoint', function(){
+    it('should default to the US region', function(){
+      assert.equal(intercom.endpoint, 'https://api-segment.intercom.io');
+    });
+
+    it('should use the endpoint of .region', function(){
+      settings.region = 'au';
+      assert.equal(new Intercom(settings).endpoint, 'https://api.au.intercom.io');
+    });
+
+    it('should prefer an explicit .endpoint', function(){
+      settings.region = 'eu';
+      settings.endpoint = 'https://intercom.example.com';
+      assert.equal(new Intercom(settings).endpoint, 'https://intercom.example.com');
+    });
+
+    it('should send requests to the endpoint of .region', function(done){
+      settings.region = 'eu';
+      intercom = new Intercom(settings);
+      intercom.redis(db);
+      intercom.on('request', function(req){
+        assert.equal(req.url.indexOf('https://api.eu.intercom.io/'), 0);
+      });
+      intercom.identify(helpers.identify({ userId: uid() }), function(){
+        done();
+      });
+    });
   });
 
   describe('mapper', function(){
@@ -143,6 +290,61 @@ describe('Intercom V2', function(){
         test.maps('identify-company-remove-v2');
       });
 
+      it('should map the owner of context.Intercom.ownerId', function(){
+        test.maps('identify-owner-v2');
+      });
+
+      it('should drop .ownerTrait values without an admin in .ownerAdmins', function(){
+        settings.ownerTrait = 'account_manager_email';
+        settings.ownerAdmins = { 'jane@example.com': '814860' };
+        var dropped = [];
+        var identify = helpers.identify({ userId: 'user-id', traits: { account_manager_email: 'joe@example.com' } });
+        var user = mapperV2.identify(identify, settings, function(key){ dropped.push(key); });
+        assert(!user.hasOwnProperty('owner_id'));
+        assert.deepEqual(dropped, ['account_manager_email']);
+      });
+
+      it('should route user traits to standard fields with .traitMappings', function(){
+        settings.traitMappings = traitMappings;
+        test.maps('identify-trait-mappings-v2');
+      });
+
+      it('should read standard fields from the traits left by .traitMappings', function(){
+        settings.traitMappings = { email: 'work_email', phone: null };
+        var dropped = [];
+        var identify = helpers.identify({ userId: 'user-id', traits: { email: 'jane@example.com', phone: '+1 555 0100' } });
+        var user = mapperV2.identify(identify, settings, function(key){ dropped.push(key); });
+        assert(!user.hasOwnProperty('email'));
+        assert(!user.hasOwnProperty('phone'));
+        assert.equal(user.custom_attributes.work_email, 'jane@example.com');
+        assert.deepEqual(dropped, ['phone']);
+      });
+
+      it('should only route booleans to unsubscribed_from_emails with .traitMappings', function(){
+        settings.traitMappings = { optedOut: 'unsubscribed_from_emails' };
+        var dropped = [];
+        var drop = function(key){ dropped.push(key); };
+        var user = mapperV2.identify(helpers.identify({ traits: { optedOut: 'false' } }), settings, drop);
+        assert.strictEqual(user.unsubscribed_from_emails, false);
+        user = mapperV2.identify(helpers.identify({ traits: { optedOut: 1 } }), settings, drop);
+        assert.strictEqual(user.unsubscribed_from_emails, true);
+        user = mapperV2.identify(helpers.identify({ traits: { optedOut: 'no' } }), settings, drop);
+        assert(!user.hasOwnProperty('unsubscribed_from_emails'));
+        assert.deepEqual(dropped, ['optedOut']);
+      });
+
+      it('should only map attributes allowed by .attributeAllowlist and .attributeDenylist', function(){
+        settings.attributeAllowlist = ['id', 'plan', 'address.*'];
+        settings.attributeDenylist = ['*_internal', 'address.geo.*'];
+        test.maps('identify-attribute-filter-v2');
+      });
+
+      it('should not map audience traits as attributes', function(){
+        settings.audienceTraits = ['high_value_users'];
+        settings.audiencePrefix = 'audience_';
+        test.maps('identify-audiences');
+      });
+
       it('should update last_request_at with lastRequestAt when supplied', function(){
         test.maps('identify-last-request-at');
       });
@@ -158,6 +360,11 @@ describe('Intercom V2', function(){
       it('should map nested identify', function(){
         test.maps('identify-nested');
       });
+
+      it('should map anonymous identify as a lead if createLeads', function(){
+        settings.createLeads = true;
+        test.maps('identify-lead');
+      });
     });
 
     describe('group', function(){
@@ -168,6 +375,31 @@ describe('Intercom V2', function(){
       it('should map nested group', function(){
         test.maps('group-nested');
       });
+
+      it('should remove the user from the company with context.Intercom.remove', function(){
+        test.maps('group-remove-v2');
+      });
+
+      it('should map the owner of the company with .ownerTrait', function(){
+        settings.ownerTrait = 'account_manager_email';
+        settings.ownerAdmins = { 'jane@example.com': '814860' };
+        test.maps('group-owner-v2');
+      });
+
+      it('should route company traits to standard fields with .traitMappings', function(){
+        settings.traitMappings = traitMappings;
+        test.maps('group-trait-mappings-v2');
+      });
+
+      it('should not map company attributes matching .attributeDenylist', function(){
+        settings.attributeDenylist = ['*_internal'];
+        test.maps('group-attribute-filter-v2');
+      });
+
+      it('should remove the user from the company with .groupRemoveTrait', function(){
+        settings.groupRemoveTrait = 'leftCompany';
+        test.maps('group-remove-trait-v2');
+      });
     });
 
     describe('track', function(){
@@ -179,11 +411,53 @@ describe('Intercom V2', function(){
         test.maps('track-nested');
       });
 
+      it('should map anonymous track as an event of the lead if createLeads', function(){
+        var json = test.fixture('track-lead');
+        settings.createLeads = true;
+        var event = mapperV2.leadEvent(new facade.Track(json.input), settings, 'lead-id');
+        assert.deepEqual(JSON.parse(JSON.stringify(event)), json.output);
+      });
+
       it('should send Rich Link as nested object in metadata', function() {
         settings.richLinkProperties = ['article'];
         test.maps('track-rich-link-v2');
       });
     });
+
+    describe('page', function(){
+      it('should map basic page', function(){
+        test.maps('page-basic');
+      });
+
+      it('should update last_request_at if updateLastRequestAt', function(){
+        settings.updateLastRequestAt = true;
+        test.maps('page-last-request-at');
+      });
+    });
+
+    describe('screen', function(){
+      it('should map basic screen', function(){
+        test.maps('screen-basic');
+      });
+
+      it('should name the event after .screenEventTemplate', function(){
+        settings.screenEventTemplate = '{{category}}: {{name}} ({{properties.type}})';
+        test.maps('screen-template');
+      });
+    });
+
+    describe('note', function(){
+      it('should map a note for .notesEvents', function(){
+        var json = test.fixture('track-note');
+        settings.notesEvents = { 'Refund Requested': '<p>{{event}}: {{properties.amount}} for {{properties.reason}}</p>' };
+        assert.deepEqual(mapperV2.note(new facade.Track(json.input), settings), json.output);
+      });
+
+      it('should not map a note for other events', function(){
+        settings.notesEvents = { 'Refund Requested': '{{event}}' };
+        assert.equal(mapperV2.note(helpers.track({ event: 'Order Completed' }), settings), undefined);
+      });
+    });
   });
 
   describe('.identify()', function(){
@@ -360,6 +634,21 @@ describe('Intercom V2', function(){
         .identify({})
         .error('Unauthorized', done);
     });
+
+    it('should create a lead for anonymous visitors if createLeads', function(done){
+      var json = test.fixture('identify-lead');
+      settings.createLeads = true;
+      json.input.anonymousId = uid();
+      json.output.user_id = json.input.anonymousId;
+
+      test
+        .set(settings)
+        .identify(json.input)
+        .sends(json.output)
+        .pathname('/contacts')
+        .expects(200)
+        .end(done);
+    });
   });
 
   describe('.group()', function(){
@@ -460,6 +749,34 @@ describe('Intercom V2', function(){
           });
       });
 
+      it('should expire the stored job before Intercom closes it', function(done){
+        var jobKey = [settings.appId, 'jobs', 'users', userId].join(':');
+        db.pttl(jobKey, function(err, ttl){
+          if (err) return done(err);
+          assert(ttl > 0, 'expected a ttl, got ' + ttl);
+          assert(ttl <= 15 * 60 * 1000 - 15000, 'expected ttl within 14.75 minutes, got ' + ttl);
+          done();
+        });
+      });
+
+      it('should expire the stored job .jobExpirationMargin before it closes', function(done){
+        var json = test.fixture('group-job-new');
+        var otherUserId = uid();
+        var jobKey = [settings.appId, 'jobs', 'users', otherUserId].join(':');
+        settings.jobExpirationMargin = 5 * 60 * 1000;
+        json.input.userId = otherUserId;
+
+        intercom.group(helpers.group(json.input), function(err){
+          if (err) return done(err);
+          db.pttl(jobKey, function(err, ttl){
+            if (err) return done(err);
+            assert(ttl > 0, 'expected a ttl, got ' + ttl);
+            assert(ttl <= 10 * 60 * 1000, 'expected ttl within 10 minutes, got ' + ttl);
+            done();
+          });
+        });
+      });
+
       it('should add to job if already exists', function(done){
         var json = test.fixture('group-job-existing');
         json.input.userId = userId;
@@ -504,6 +821,47 @@ describe('Intercom V2', function(){
         });
       });
     });
+
+    describe('#groupMode', function(){
+      it('should only upsert the company when .groupMode is company', function(done){
+        var json = test.fixture('group-job-new');
+        settings.groupMode = 'company';
+        delete json.input.userId;
+
+        test
+          .set(settings)
+          .group(json.input)
+          .sends(json.output.items[0].data.companies[0])
+          .pathname('/companies')
+          .expects(200)
+          .end(done);
+      });
+
+      it('should upsert the company and then attach the user when .groupMode is both', function(done){
+        var json = test.fixture('group-job-new');
+        settings.groupMode = 'both';
+        json.input.userId = userId;
+        json.output.items[0].data.user_id = userId;
+
+        test
+          .set(settings)
+          .group(json.input)
+          .requests(2);
+
+        test
+          .request(0)
+          .sends(json.output.items[0].data.companies[0])
+          .pathname('/companies')
+          .expects(200);
+
+        test
+          .request(1)
+          .sends(json.output)
+          .pathname('/bulk/users')
+          .expects(202)
+          .end(done);
+      });
+    });
   })
 
   describe('.track()', function(){
@@ -545,6 +903,25 @@ describe('Intercom V2', function(){
           .end(done);
       });
 
+      it('should add a note for .notesEvents', function(done){
+        var json = test.fixture('track-note');
+        settings.notesEvents = { 'Refund Requested': '<p>{{event}}: {{properties.amount}} for {{properties.reason}}</p>' };
+        json.input.userId = userId;
+        json.output.user.user_id = userId;
+
+        test
+          .set(settings)
+          .track(json.input)
+          .requests(3);
+
+        test
+          .request(2)
+          .sends(json.output)
+          .pathname('/notes')
+          .expects(200)
+          .end(done);
+      });
+
       it('should create new job for track with nested props', function(done){
         var json = test.fixture('track-nested');
         json.input.userId = userId;
@@ -559,6 +936,29 @@ describe('Intercom V2', function(){
           .end(done);
       });
 
+      it('should submit anonymous track as an event of the lead if createLeads', function(done){
+        var json = test.fixture('track-lead');
+        settings.createLeads = true;
+        json.input.anonymousId = uid();
+
+        var requests = test
+          .requests(3) // account for the request of beforeEach
+          .set(settings)
+          .track(json.input);
+
+        requests
+          .request(1)
+          .sends({ user_id: json.input.anonymousId })
+          .pathname('/contacts')
+          .expects(200);
+
+        requests
+          .request(2)
+          .pathname('/events')
+          .expects(202)
+          .end(done);
+      });
+
       it('should selectively stringify, flatten, or drop traits', function(done){
         var json = test.fixture('track-blacklist-v2');
         json.input.userId = userId;
@@ -651,94 +1051,1073 @@ describe('Intercom V2', function(){
         .error('Unauthorized', done);
     });
   });
-});
-
-describe('Intercom V1', function(){
-  var intercom;
-  var settings;
-  var payload;
-  var test;
-  var db;
-
-  before(function(done){
-    db = redis.createClient();
-    db.on('ready', done);
-    db.on('error', done);
-  });
-
-  beforeEach(function(){
-    payload = {};
-    settings = {
-      appId: 'fcxywseo',
-      apiKey: '9d068fa090d38be4c715b669b3f1370f76ac5306',
-      oauth: {
-        'access-token': 'dG9rOjM1YWYyNDQ4X2RmNDNfNDExMV85MTk4XzkwZDhlZmYxOGI5MToxOjA=' // Test-Han - Segment Friends
-      },
-      collectContext: false,
-      blacklisted: {
-        stringifyMe: 'stringify',
-        dropMe: 'drop',
-        flattenMe: 'flatten'
-      },
-      defaultMethod: 'flatten',
-      richLinkProperties: [],
-      isBulkAPIEnabled: false
-    };
-    intercom = new Intercom(settings);
-    // FIXME: temp hack to get around Intercom's rate limits
-    intercom.userAgent = 'not_segment';
-    test = Test(intercom, __dirname);
-    test.mapper(mapperV1);
-    intercom.redis(db);
-  });
-
-  it('should have correct settings', function(){
-    test
-      .name('Intercom')
-      .endpoint('https://api-segment.intercom.io')
-      .channels(['server']);
-  });
 
-  describe('.validate()', function(){
-
-    it('should be invalid if .appId and .oauth.access-token is missing', function(){
-      delete settings.appId;
-      delete settings.oauth;
-      test.invalid({}, settings);
+  describe('.store()', function(){
+    var store;
+    beforeEach(function(){
+      store = new Intercom.MemoryStore();
     });
 
-    it('should be invalid if .apiKey and .oauth.access-token is missing', function(){
-      delete settings.apiKey;
-      delete settings.oauth;
-      test.invalid({}, settings);
+    it('should default to a RedisStore', function(){
+      assert(intercom.store() instanceof Intercom.RedisStore);
+      assert.equal(intercom.store().client, db);
     });
 
-    it('should be invalid if .userId and .email are missing', function(){
-      test.invalid({}, settings);
-    });
+    it('should store jobs in a MemoryStore', function(done){
+      var json = test.fixture('group-job-new');
+      var userId = uid();
+      var jobKey = [settings.appId, 'jobs', 'users', userId].join(':');
+      json.input.userId = userId;
+      intercom.store(store);
 
-    it('should be valid when just .userId is given', function(){
-      test.valid({ userId: '12345' }, settings);
+      test
+        .set(settings)
+        .group(json.input)
+        .expects(202)
+        .end(function(err, res){
+          if (err) return done(err);
+          store.get(jobKey, function(err, jobId){
+            if (err) return done(err);
+            assert.equal(jobId, res[0].res.body.id);
+            done();
+          });
+        });
     });
 
-    it('should be valid when just .email is given', function(){
-      test.valid({ properties: { email: 'foo@bar.com' } }, settings);
+    it('should let concurrent workers share a single new job', function(done){
+      var worker = new Intercom(settings);
+      var jobKey = [settings.appId, 'jobs', 'users', uid()].join(':');
+      var jobIds = [];
+      intercom.store(store);
+      worker.store(store);
+
+      intercom.sendToJob('users', jobKey, items(uid()), [], sent);
+      worker.sendToJob('users', jobKey, items(uid()), [], sent);
+
+      function sent(err, res){
+        if (err) return done(err);
+        jobIds.push(res.body.id);
+        if (jobIds.length < 2) return;
+        assert.equal(jobIds[0], jobIds[1]);
+        store.get(jobKey, function(err, jobId){
+          if (err) return done(err);
+          assert.equal(jobId, jobIds[0]);
+          done();
+        });
+      }
     });
 
-    it('should be valid when .apiKey and .appId are given with no access-token', function(){
-      delete settings.oauth;
-      test.valid({ userId: '12345' }, settings);
+    it('should let concurrent workers replace a stale job once', function(done){
+      var worker = new Intercom(settings);
+      var jobKey = [settings.appId, 'jobs', 'users', uid()].join(':');
+      var jobIds = [];
+      intercom.store(store);
+      worker.store(store);
+
+      store.set(jobKey, 'garbage_id', 60000, function(err){
+        if (err) return done(err);
+        intercom.sendToJob('users', jobKey, items(uid()), [], sent);
+        worker.sendToJob('users', jobKey, items(uid()), [], sent);
+      });
+
+      function sent(err, res){
+        if (err) return done(err);
+        jobIds.push(res.body.id);
+        if (jobIds.length < 2) return;
+        assert.notEqual(jobIds[0], 'garbage_id');
+        assert.equal(jobIds[0], jobIds[1]);
+        done();
+      }
     });
 
-    it('should be valid when .oauth[\'access-token\'] is given with no .apiKey or .appId', function(){
-      delete settings.appId;
-      delete settings.apiKey;
+    function items(userId){
+      return {
+        items: [{
+          data_type: 'user',
+          method: 'post',
+          data: { user_id: userId }
+        }]
+      };
+    }
+  });
+
+  describe('.monitor()', function(){
+    var userId;
+    var jobId;
+    beforeEach(function(done){
+      userId = uid();
+      var json = test.fixture('group-job-new');
+      json.input.userId = userId;
+      json.input.messageId = 'message-' + userId;
+
+      test
+        .set(settings)
+        .group(json.input)
+        .expects(202)
+        .end(function(err, res){
+          if (err) return done(err);
+          jobId = res[0].res.body.id;
+          done();
+        });
+    });
+
+    it('should check the status of a job', function(done){
+      intercom.monitor().check(jobId, function(err, result){
+        if (err) return done(err);
+        assert.equal(result.job.id, jobId);
+        assert.deepEqual(result.failures, []);
+        done();
+      });
+    });
+
+    it('should check the jobs stored in redis', function(done){
+      var jobKey = [settings.appId, 'jobs', 'users', userId].join(':');
+      intercom.monitor().poll([jobKey, 'unknown'], function(err, results){
+        if (err) return done(err);
+        assert.equal(results.length, 1);
+        assert.equal(results[0].job.id, jobId);
+        done();
+      });
+    });
+
+    it('should map failed items back to their message', function(done){
+      var failed = [];
+      var item = {
+        data_type: 'user',
+        method: 'post',
+        data: { user_id: userId },
+        error: { code: 'parameter_invalid', message: 'Invalid company' }
+      };
+
+      intercom.monitor().on('failure', function(failure){
+        failed.push(failure);
+      });
+
+      intercom.monitor().failures(jobId, [item], function(err, failures){
+        if (err) return done(err);
+        assert.deepEqual(failures, failed);
+        assert.deepEqual(failures, [{
+          jobId: jobId,
+          index: 0,
+          messageId: 'message-' + userId,
+          dataType: 'user',
+          item: item,
+          error: item.error
+        }]);
+        done();
+      });
+    });
+
+    it('should tell failed items of the same user apart by their index', function(done){
+      var monitor = intercom.store(new Intercom.MemoryStore()).monitor();
+      var items = [0, 1, 2].map(function(){
+        return { data_type: 'user', method: 'post', data: { user_id: 'user-id' } };
+      });
+      var failed = [0, 1].map(function(){
+        return {
+          data_type: 'user',
+          method: 'post',
+          data: { user_id: 'user-id' },
+          error: { code: 'parameter_invalid', message: 'Invalid company' }
+        };
+      });
+
+      monitor.record('job-id', items.slice(0, 2), ['a', 'b'], function(err){
+        if (err) return done(err);
+        monitor.record('job-id', items.slice(2), ['c'], function(err){
+          if (err) return done(err);
+          monitor.failures('job-id', failed, function(err, failures){
+            if (err) return done(err);
+            assert.deepEqual(failures.map(function(failure){
+              return [failure.index, failure.messageId];
+            }), [[0, 'a'], [1, 'b']]);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should check recorded jobs every .monitorInterval until they are done', function(done){
+      var states = ['running', 'completed_with_errors'];
+      var monitor = intercom.store(new Intercom.MemoryStore()).monitor();
+      intercom.settings.monitorInterval = 10;
+      monitor.job = function(id, fn){
+        fn(null, { id: id, state: states.shift() });
+      };
+      monitor.report = function(id, job, fn){
+        assert.equal(id, 'job-id');
+        assert.equal(job.state, 'completed_with_errors');
+        fn(null, { job: job, failures: [] });
+        setTimeout(function(){
+          assert(!monitor.jobs['job-id']);
+          assert(!monitor.timer);
+          done();
+        }, 20);
+      };
+
+      monitor.watch('job-id');
+    });
+  });
+
+  describe('batching', function(){
+    var requests;
+    beforeEach(function(){
+      settings.isBatchingEnabled = true;
+      settings.batchSize = 2;
+      settings.batchInterval = 100;
+      requests = [];
+      intercom.on('request', function(req){
+        requests.push(req);
+      });
+    });
+
+    it('should send buffered items as a single bulk request', function(done){
+      var first = helpers.track({ userId: uid() });
+      var second = helpers.track({ userId: uid() });
+      var pending = 2;
+
+      intercom.track(first, callback);
+      intercom.track(second, callback);
+
+      function callback(err, res){
+        if (err) return done(err);
+        assert.equal(res.status, 202);
+        if (--pending) return;
+        assert.equal(requests.length, 1);
+        assert.equal(requests[0]._data.items.length, 2);
+        assert.equal(requests[0]._data.items[0].data.user_id, first.userId());
+        assert.equal(requests[0]._data.items[1].data.user_id, second.userId());
+        done();
+      }
+    });
+
+    it('should flush after .batchInterval', function(done){
+      intercom.track(helpers.track({ userId: uid() }), function(err, res){
+        if (err) return done(err);
+        assert.equal(res.status, 202);
+        assert.equal(requests.length, 1);
+        assert.equal(requests[0]._data.items.length, 1);
+        done();
+      });
+    });
+
+    it('should only batch items of integrations with the same credentials', function(done){
+      var other = new Intercom({
+        oauth: { 'access-token': 'bad-token' },
+        isBulkAPIEnabled: true,
+        isBatchingEnabled: true,
+        batchSize: 2,
+        batchInterval: 100
+      });
+      var pending = 2;
+      other.redis(db);
+
+      intercom.track(helpers.track({ userId: uid() }), function(err, res){
+        if (err) return done(err);
+        assert.equal(res.status, 202);
+        assert.equal(requests.length, 1);
+        assert.equal(requests[0]._data.items.length, 1);
+        if (!--pending) done();
+      });
+
+      other.track(helpers.track({ userId: uid() }), function(err){
+        assert(err instanceof Intercom.errors.AuthError);
+        if (!--pending) done();
+      });
+    });
+
+    it('should keep the batch jobs of OAuth-only workspaces apart', function(){
+      var jobKeys = [];
+      ['first-token', 'second-token'].forEach(function(token){
+        var workspace = new Intercom({ oauth: { 'access-token': token }, isBulkAPIEnabled: true });
+        workspace.sendToJob = function(dataType, jobKey){
+          jobKeys.push(jobKey);
+        };
+        workspace.flush('events', [{ items: [], messageIds: [] }]);
+      });
+
+      assert.equal(jobKeys.length, 2);
+      assert.notEqual(jobKeys[0], jobKeys[1]);
+    });
+
+    it('should never send more than 100 items per request', function(done){
+      settings.batchSize = 500;
+      var pending = 101;
+
+      for (var i = 0; i < 101; i++) {
+        intercom.track(helpers.track({ userId: uid() }), callback);
+      }
+
+      function callback(err){
+        if (err) return done(err);
+        if (--pending) return;
+        assert.equal(requests.length, 2);
+        assert.equal(requests[0]._data.items.length, 100);
+        assert.equal(requests[1]._data.items.length, 1);
+        done();
+      }
+    });
+  });
+
+  describe('tags', function(){
+    var requests;
+    beforeEach(function(){
+      requests = [];
+      intercom.on('request', function(req){
+        requests.push(req);
+      });
+    });
+
+    it('should apply and remove tags of context.Intercom.tags on the user', function(done){
+      var userId = uid();
+      var identify = helpers.identify({ userId: userId, context: { Intercom: { tags: { vip: true, trial: false } } } });
+
+      intercom.identify(identify, function(err){
+        if (err) return done(err);
+        var tagged = requests.filter(function(req){
+          return /\/tags$/.test(req.url);
+        });
+        assert.deepEqual(tagged.map(function(req){ return req._data; }), [
+          { name: 'vip', users: [{ user_id: userId }] },
+          { name: 'trial', users: [{ user_id: userId, untag: true }] }
+        ]);
+        done();
+      });
+    });
+
+    it('should apply the tags of .tagsTrait instead of sending it as an attribute', function(done){
+      settings.tagsTrait = 'segments';
+      var identify = helpers.identify({ userId: uid(), traits: { segments: ['vip'] } });
+
+      intercom.identify(identify, function(err){
+        if (err) return done(err);
+        var user = requests.filter(function(req){ return /\/users$/.test(req.url); })[0];
+        var tag = requests.filter(function(req){ return /\/tags$/.test(req.url); })[0];
+        assert(user && tag);
+        assert(!(user._data.custom_attributes || {}).hasOwnProperty('segments'));
+        assert.equal(tag._data.name, 'vip');
+        done();
+      });
+    });
+
+    it('should apply and remove tags of audience traits', function(done){
+      settings.audienceTraits = ['high_value_users'];
+      settings.audiencePrefix = 'audience_';
+      var userId = uid();
+      var identify = helpers.identify({ userId: userId, traits: { high_value_users: true, audience_churn_risk: false } });
+
+      intercom.identify(identify, function(err){
+        if (err) return done(err);
+        var tagged = requests.filter(function(req){
+          return /\/tags$/.test(req.url);
+        });
+        assert.deepEqual(tagged.map(function(req){ return req._data; }), [
+          { name: 'high_value_users', users: [{ user_id: userId }] },
+          { name: 'audience_churn_risk', users: [{ user_id: userId, untag: true }] }
+        ]);
+        done();
+      });
+    });
+
+    it('should only send audience tags when they change', function(done){
+      settings.audienceTraits = ['high_value_users'];
+      intercom.store(new Intercom.MemoryStore());
+      var sent = [];
+      intercom.tag = function(msg, ops, fn){
+        sent.push(ops.map(function(op){ return op.name + ':' + op.untag; }));
+        fn();
+      };
+
+      var userId = uid();
+      identify(true, function(){
+        identify(true, function(){
+          identify(false, function(){
+            assert.deepEqual(sent, [['high_value_users:false'], [], ['high_value_users:true']]);
+            done();
+          });
+        });
+      });
+
+      function identify(value, fn){
+        var msg = helpers.identify({ userId: userId, traits: { high_value_users: value } });
+        intercom.tagged(msg, function(err){
+          if (err) return done(err);
+          fn();
+        })(null, {});
+      }
+    });
+
+    it('should tag the company on group', function(done){
+      var json = test.fixture('group-job-new');
+      json.input.userId = uid();
+      json.input.context = { Intercom: { tags: ['paying'] } };
+
+      intercom.group(helpers.group(json.input), function(err){
+        if (err) return done(err);
+        var tag = requests[requests.length - 1];
+        assert.deepEqual(tag._data, { name: 'paying', companies: [{ company_id: json.input.groupId }] });
+        done();
+      });
+    });
+
+    it('should tag many users with one request when .isBatchingEnabled', function(done){
+      settings.isBatchingEnabled = true;
+      settings.batchInterval = 100;
+      var pending = 2;
+
+      intercom.identify(helpers.identify({ userId: uid(), context: { Intercom: { tags: ['vip'] } } }), callback);
+      intercom.identify(helpers.identify({ userId: uid(), context: { Intercom: { tags: ['vip'] } } }), callback);
+
+      function callback(err){
+        if (err) return done(err);
+        if (--pending) return;
+        var tagged = requests.filter(function(req){
+          return /\/tags$/.test(req.url);
+        });
+        assert.equal(tagged.length, 1);
+        assert.equal(tagged[0]._data.users.length, 2);
+        done();
+      }
+    });
+
+    it('should only batch tags of integrations with the same credentials', function(done){
+      var other = new Intercom({
+        appId: settings.appId,
+        oauth: { 'access-token': 'other-token' },
+        isBulkAPIEnabled: true,
+        isBatchingEnabled: true,
+        batchInterval: 100
+      });
+      var sent = [];
+      var pending = 2;
+      settings.isBatchingEnabled = true;
+      settings.batchInterval = 100;
+      intercom.sendTags = other.sendTags = function(entries){
+        sent.push(entries.length);
+        entries.forEach(function(entry){
+          entry.fn();
+        });
+      };
+
+      intercom.tag(helpers.identify({ userId: uid() }), [{ name: 'vip' }], callback);
+      other.tag(helpers.identify({ userId: uid() }), [{ name: 'vip' }], callback);
+
+      function callback(err){
+        if (err) return done(err);
+        if (--pending) return;
+        assert.deepEqual(sent, [1, 1]);
+        done();
+      }
+    });
+  });
+
+  describe('errors', function(){
+    it('should fail with a permanent AuthError on bad credentials', function(done){
+      settings.oauth = { 'access-token': 'bad-token' };
+      intercom = new Intercom(settings);
+      intercom.redis(db);
+      intercom.identify(helpers.identify({ userId: uid() }), function(err){
+        assert(err instanceof Intercom.errors.AuthError);
+        assert.equal(err.code, 'UNAUTHORIZED');
+        assert.equal(err.status, 401);
+        assert(err.errors.length);
+        assert(!err.retryable);
+        assert(!intercom.retry(err));
+        done();
+      });
+    });
+
+    it('should build errors from Intercom\'s errors[] body', function(){
+      var res = {
+        status: 422,
+        body: {
+          type: 'error.list',
+          errors: [{ code: 'parameter_invalid', message: 'Invalid attribute' }]
+        }
+      };
+      var err = Intercom.errors.classify(new Error('Unprocessable Entity'), res);
+      assert(err instanceof Intercom.errors.ValidationError);
+      assert.equal(err.message, 'Unprocessable Entity');
+      assert.deepEqual(err.errors, res.body.errors);
+      assert(!err.retryable);
+    });
+
+    it('should classify retryable errors', function(){
+      var classify = Intercom.errors.classify;
+      var conflict = classify(new Error, { status: 409, body: {} });
+      var server = classify(new Error, { status: 503, body: {} });
+      var network = classify(new Error('ECONNRESET'));
+      assert(conflict instanceof Intercom.errors.ConflictError);
+      assert(!conflict.retryable);
+      assert(server instanceof Intercom.errors.ServerError);
+      assert(server.retryable);
+      assert(network instanceof Intercom.errors.NetworkError);
+      assert(network.retryable);
+      assert(intercom.retry(network));
+    });
+  });
+
+  describe('.metrics()', function(){
+    var metrics;
+    beforeEach(function(){
+      metrics = [];
+      settings.metrics = function(metric){
+        metrics.push(metric);
+      };
+      intercom = new Intercom(settings);
+      intercom.redis(db);
+    });
+
+    it('should report to the statsd agent by default', function(){
+      delete settings.metrics;
+      intercom = new Intercom(settings);
+      var sink = intercom.metrics().sink;
+      assert.equal(sink.host, '172.17.42.1');
+      assert.equal(sink.port, 8125);
+      assert.equal(sink.prefix, 'intercom');
+    });
+
+    it('should report to an emitter', function(){
+      var emitter = new (require('events').EventEmitter);
+      emitter.on('metric', function(metric){
+        metrics.push(metric);
+      });
+      intercom.metrics(emitter);
+      intercom.metrics().incr('called', 1, ['method:identify']);
+      assert.deepEqual(metrics, [{ type: 'incr', name: 'called', value: 1, tags: ['method:identify'] }]);
+    });
+
+    it('should report calls, request latency and status codes', function(done){
+      intercom.identify(helpers.identify({ userId: uid() }), function(err){
+        if (err) return done(err);
+        var names = metrics.map(function(metric){ return metric.name; });
+        assert.deepEqual(names, ['called', 'lock_wait', 'request_latency', 'response']);
+        assert.deepEqual(metrics[0].tags, ['method:identify', 'version:2']);
+        assert.deepEqual(metrics[3].tags, ['http_method:post', 'endpoint:/users', 'version:2', 'status:200']);
+        done();
+      });
+    });
+
+    it('should report created and reused jobs', function(done){
+      var userId = uid();
+      intercom.track(helpers.track({ userId: userId }), function(err){
+        if (err) return done(err);
+        intercom.track(helpers.track({ userId: userId }), function(err){
+          if (err) return done(err);
+          var jobs = metrics.filter(function(metric){ return metric.name === 'job'; });
+          assert.deepEqual(jobs[0].tags, ['action:created', 'data_type:events']);
+          assert.deepEqual(jobs[1].tags, ['action:reused', 'data_type:events']);
+          done();
+        });
+      });
+    });
+
+    it('should report attributes the mapper drops', function(){
+      settings.blacklisted = { dropMe: 'drop' };
+      var identify = helpers.identify({ traits: { dropMe: { a: 1 } } });
+      mapperV2.identify(identify, settings, intercom.dropped('identify'));
+      assert.equal(metrics.length, 1);
+      assert.equal(metrics[0].name, 'mapper_dropped');
+      assert.deepEqual(metrics[0].tags, ['method:identify', 'version:2']);
+    });
+  });
+
+  describe('circuit breaker', function(){
+    var store;
+    var key;
+    var requests;
+    beforeEach(function(){
+      store = new Intercom.MemoryStore();
+      key = [intercom.accountId(), 'circuit'].join(':');
+      requests = [];
+      intercom.store(store);
+      intercom.on('request', function(req){
+        requests.push(req);
+      });
+    });
+
+    it('should fail fast with a retryable error while open', function(done){
+      var circuit = { state: 'open', since: Date.now(), requests: 0, failures: 0 };
+      store.set(key, JSON.stringify(circuit), 60000, function(){
+        intercom.identify(helpers.identify({ userId: uid() }), function(err){
+          assert(err instanceof Intercom.errors.CircuitOpenError);
+          assert.equal(err.code, 'CIRCUIT_OPEN');
+          assert(err.retryAfter > 0);
+          assert(intercom.retry(err));
+          assert.equal(requests.length, 0);
+          done();
+        });
+      });
+    });
+
+    it('should probe Intercom and close once cooled down', function(done){
+      var circuit = { state: 'open', since: Date.now() - 60000, requests: 0, failures: 0 };
+      var states = [];
+      intercom.breaker().on('state', function(from, to){
+        states.push(to);
+      });
+      store.set(key, JSON.stringify(circuit), 60000, function(){
+        intercom.identify(helpers.identify({ userId: uid() }), function(err){
+          if (err) return done(err);
+          assert.equal(requests.length, 1);
+          assert.deepEqual(states, ['half_open', 'closed']);
+          done();
+        });
+      });
+    });
+
+    it('should count requests of all workers towards .circuitErrorRate', function(done){
+      var worker = new Intercom(settings).store(store);
+      var failed = new Intercom.errors.ServerError('Service Unavailable');
+      settings.circuitMinRequests = 2;
+      intercom.breaker().after(failed, function(){
+        worker.breaker().after(failed, function(){
+          store.get(key, function(err, circuit){
+            if (err) return done(err);
+            assert.equal(JSON.parse(circuit).state, 'open');
+            done();
+          });
+        });
+      });
+    });
+
+    it('should keep the circuits of OAuth-only workspaces apart', function(done){
+      var first = new Intercom({ oauth: { 'access-token': 'first-token' }, circuitMinRequests: 1 }).store(store);
+      var second = new Intercom({ oauth: { 'access-token': 'second-token' } }).store(store);
+      first.breaker().after(new Intercom.errors.ServerError('Service Unavailable'), function(){
+        first.breaker().before(function(err){
+          assert(err instanceof Intercom.errors.CircuitOpenError);
+          second.breaker().before(done);
+        });
+      });
+    });
+
+    it('should open after .circuitErrorRate of failed requests', function(done){
+      settings.circuitMinRequests = 1;
+      intercom.breaker().after(new Intercom.errors.ServerError('Service Unavailable'), function(){
+        store.get(key, function(err, circuit){
+          if (err) return done(err);
+          assert.equal(JSON.parse(circuit).state, 'open');
+          done();
+        });
+      });
+    });
+  });
+
+  describe('rate limits', function(){
+    var store;
+    var key;
+    var requests;
+    beforeEach(function(){
+      store = new Intercom.MemoryStore();
+      key = [intercom.accountId(), 'ratelimit'].join(':');
+      requests = [];
+      intercom.store(store);
+      intercom.on('request', function(req){
+        requests.push(req);
+      });
+    });
+
+    it('should store the budget Intercom reports', function(done){
+      intercom.identify(helpers.identify({ userId: uid() }), function(err){
+        if (err) return done(err);
+        store.get(key, function(err, bucket){
+          if (err) return done(err);
+          assert(bucket);
+          done();
+        });
+      });
+    });
+
+    it('should delay requests until the budget resets', function(done){
+      var start = Date.now();
+      empty(start + 200, function(){
+        intercom.identify(helpers.identify({ userId: uid() }), function(err){
+          if (err) return done(err);
+          assert(Date.now() - start >= 200);
+          assert.equal(requests.length, 1);
+          done();
+        });
+      });
+    });
+
+    it('should defer requests with a retryable error when the budget is exhausted', function(done){
+      empty(Date.now() + 60000, function(){
+        intercom.identify(helpers.identify({ userId: uid() }), function(err){
+          assert(err instanceof Intercom.errors.RateLimitError);
+          assert.equal(err.code, 'RATE_LIMITED');
+          assert(err.retryAfter > 55000);
+          assert(intercom.retry(err));
+          assert.equal(requests.length, 0);
+          done();
+        });
+      });
+    });
+
+    it('should share the budget between workers', function(done){
+      var worker = new Intercom(settings).store(store);
+      var reset = Date.now() + 60000;
+      store.set(key, reset, 60000, function(){
+        store.set(key + ':' + reset, 1, 60000, function(){
+          intercom.limiter().take(function(err){
+            if (err) return done(err);
+            worker.limiter().take(function(err){
+              assert(err instanceof Intercom.errors.RateLimitError);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should keep the budgets of OAuth-only workspaces apart', function(done){
+      var first = new Intercom({ oauth: { 'access-token': 'first-token' } }).store(store);
+      var second = new Intercom({ oauth: { 'access-token': 'second-token' } }).store(store);
+      var reset = Date.now() + 60000;
+      var bucket = first.limiter().key;
+
+      store.set(bucket, reset, 60000, function(){
+        store.set(bucket + ':' + reset, 0, 60000, function(){
+          first.limiter().take(function(err){
+            assert(err instanceof Intercom.errors.RateLimitError);
+            second.limiter().take(done);
+          });
+        });
+      });
+    });
+
+    it('should only lower the budget within a window', function(done){
+      var limiter = intercom.limiter();
+      var reset = Math.ceil(Date.now() / 1000) + 60;
+      var res = function(remaining, reset){
+        return { headers: { 'x-ratelimit-remaining': String(remaining), 'x-ratelimit-reset': String(reset) } };
+      };
+
+      limiter.update(res(10, reset), function(){
+        limiter.update(res(20, reset), function(){
+          store.get(key + ':' + reset * 1000, function(err, bucket){
+            if (err) return done(err);
+            assert.equal(bucket, '10');
+            limiter.update(res(20, reset + 60), function(){
+              store.get(key, function(err, current){
+                if (err) return done(err);
+                assert.equal(current, (reset + 60) * 1000);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    function empty(reset, fn){
+      store.set(key, reset, reset - Date.now(), function(){
+        store.set(key + ':' + reset, 0, reset - Date.now(), fn);
+      });
+    }
+  });
+
+  describe('.alias()', function(){
+    var anonymousId;
+    var userId;
+    beforeEach(function(){
+      anonymousId = uid();
+      userId = uid();
+    });
+
+    it('should do nothing if there is no lead for .previousId', function(done){
+      test
+        .requests(1)
+        .set(settings)
+        .alias({ previousId: anonymousId, userId: userId })
+        .expects(404)
+        .end(done);
+    });
+
+    it('should convert the lead into the user', function(done){
+      intercom
+        .post('/contacts')
+        .set(intercom.headers())
+        .type('json')
+        .accept('json')
+        .send({ user_id: anonymousId })
+        .end(function(err){
+          if (err) return done(err);
+
+          var requests = test
+            .requests(3) // account for the lead created above
+            .set(settings)
+            .alias({ previousId: anonymousId, userId: userId });
+
+          requests
+            .request(1)
+            .expects(200);
+
+          requests
+            .request(2)
+            .sends({
+              contact: { user_id: anonymousId },
+              user: { user_id: userId }
+            })
+            .expects(200)
+            .end(done);
+        });
+    });
+  });
+
+  describe('.delete()', function(){
+    var userId;
+    beforeEach(function(){
+      userId = uid();
+    });
+
+    it('should not error if the user does not exist', function(done){
+      var msg = new facade.Delete({ userId: userId });
+      intercom.delete(msg, function(err, res){
+        if (err) return done(err);
+        assert.equal(res.status, 404);
+        done();
+      });
+    });
+
+    it('should permanently delete the user and their jobs', function(done){
+      var jobKey = [settings.appId, 'jobs', 'events', userId].join(':');
+
+      intercom.identify(helpers.identify({ userId: userId }), function(err){
+        if (err) return done(err);
+        intercom.redis().set(jobKey, 'job_id', function(err){
+          if (err) return done(err);
+          intercom.delete(new facade.Delete({ userId: userId }), function(err, res){
+            if (err) return done(err);
+            assert.equal(res.status, 200);
+            assert.equal(res.req.req.path, '/user_delete_requests');
+            assert(res.body.id);
+            intercom.redis().get(jobKey, function(err, jobId){
+              if (err) return done(err);
+              assert.equal(jobId, null);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should delete by email when there is no userId', function(done){
+      var email = 'deleted-' + userId + '@segment.io';
+      var msg = new facade.Delete({ context: { traits: { email: email } } });
+      intercom.delete(msg, function(err, res){
+        if (err) return done(err);
+        assert.equal(res.req.req.path, '/users?email=' + encodeURIComponent(email));
+        done();
+      });
+    });
+  });
+
+  describe('.screen()', function(){
+    it('should create a new event job for screen', function(done){
+      var json = test.fixture('screen-basic');
+      json.input.userId = uid();
+      json.output.items[0].data.user_id = json.input.userId;
+
+      test
+        .set(settings)
+        .screen(json.input)
+        .sends(json.output)
+        .expects(202)
+        .end(done);
+    });
+  });
+
+  describe('.page()', function(){
+    it('should record the page view on the user', function(done){
+      var json = test.fixture('page-basic');
+
+      test
+        .set(settings)
+        .page(json.input)
+        .sends(json.output)
+        .expects(200)
+        .end(done);
+    });
+
+    it('should send a bulk event for named pages if trackNamedPages', function(done){
+      var json = test.fixture('page-basic');
+      settings.trackNamedPages = true;
+      json.input.userId = uid();
+      json.output.user_id = json.input.userId;
+
+      var requests = test
+        .requests(2)
+        .set(settings)
+        .page(json.input);
+
+      requests
+        .request(0)
+        .sends(json.output)
+        .expects(200);
+
+      requests
+        .request(1)
+        .sends({
+          items: [{
+            method: 'post',
+            data_type: 'event',
+            data: {
+              event_name: 'Viewed Support Docs Page',
+              created_at: 1451606400,
+              user_id: json.input.userId,
+              metadata: {
+                url: 'https://segment.com/docs',
+                title: 'Segment Docs',
+                category: 'Support',
+                name: 'Docs'
+              }
+            }
+          }]
+        })
+        .expects(202)
+        .end(done);
+    });
+
+    it('should not send an event for unnamed pages unless trackAllPages', function(done){
+      var json = test.fixture('page-last-request-at');
+      settings.updateLastRequestAt = true;
+      settings.trackNamedPages = true;
+
+      test
+        .requests(1)
+        .set(settings)
+        .page(json.input)
+        .expects(200)
+        .end(done);
+    });
+
+    it('should add a note for .notesEvents of the page event', function(done){
+      var json = test.fixture('page-last-request-at');
+      settings.trackAllPages = true;
+      settings.notesEvents = { 'Loaded a Page': '{{event}} {{properties.url}}' };
+
+      test
+        .requests(3)
+        .set(settings)
+        .page(json.input);
+
+      test
+        .request(2)
+        .pathname('/notes')
+        .sends({ user: { user_id: 'user-id' }, body: 'Loaded a Page https://segment.com/pricing' })
+        .expects(200)
+        .end(done);
+    });
+  });
+});
+
+describe('Intercom V1', function(){
+  var intercom;
+  var settings;
+  var payload;
+  var test;
+  var db;
+
+  before(function(done){
+    db = redis.createClient();
+    db.on('ready', done);
+    db.on('error', done);
+  });
+
+  beforeEach(function(){
+    payload = {};
+    settings = {
+      appId: 'fcxywseo',
+      apiKey: '9d068fa090d38be4c715b669b3f1370f76ac5306',
+      oauth: {
+        'access-token': 'dG9rOjM1YWYyNDQ4X2RmNDNfNDExMV85MTk4XzkwZDhlZmYxOGI5MToxOjA=' // Test-Han - Segment Friends
+      },
+      collectContext: false,
+      blacklisted: {
+        stringifyMe: 'stringify',
+        dropMe: 'drop',
+        flattenMe: 'flatten'
+      },
+      defaultMethod: 'flatten',
+      richLinkProperties: [],
+      isBulkAPIEnabled: false
+    };
+    intercom = new Intercom(settings);
+    // FIXME: temp hack to get around Intercom's rate limits
+    intercom.userAgent = 'not_segment';
+    test = Test(intercom, __dirname);
+    test.mapper(mapperV1);
+    intercom.redis(db);
+  });
+
+  it('should have correct settings', function(){
+    test
+      .name('Intercom')
+      .endpoint('https://api-segment.intercom.io')
+      .channels(['server', 'mobile']);
+  });
+
+  describe('.validate()', function(){
+
+    it('should be invalid if .appId and .oauth.access-token is missing', function(){
+      delete settings.appId;
+      delete settings.oauth;
+      test.invalid({}, settings);
+    });
+
+    it('should be invalid if .apiKey and .oauth.access-token is missing', function(){
+      delete settings.apiKey;
+      delete settings.oauth;
+      test.invalid({}, settings);
+    });
+
+    it('should be invalid if .userId and .email are missing', function(){
+      test.invalid({}, settings);
+    });
+
+    it('should be valid when just .userId is given', function(){
+      test.valid({ userId: '12345' }, settings);
+    });
+
+    it('should be valid when just .email is given', function(){
+      test.valid({ properties: { email: 'foo@bar.com' } }, settings);
+    });
+
+    it('should be valid when .apiKey and .appId are given with no access-token', function(){
+      delete settings.oauth;
+      test.valid({ userId: '12345' }, settings);
+    });
+
+    it('should be valid when .oauth[\'access-token\'] is given with no .apiKey or .appId', function(){
+      delete settings.appId;
+      delete settings.apiKey;
       test.valid({ userId: '12345' }, settings);
     });
 
     it('should be valid when .apiKey, .appId, and .oauth[\'access-token\'] are given', function(){
       test.valid({ userId: '12345' }, settings);
     });
+
+    it('should be valid for a numeric .apiVersion', function(){
+      settings.apiVersion = 2;
+      test.valid({ userId: '12345' }, settings);
+    });
+  });
+
+  describe('.apiVersion', function(){
+    it('should use the contacts mapper for a 2.x .apiVersion', function(){
+      settings.apiVersion = '2.1';
+      intercom = new Intercom(settings);
+      assert.equal(intercom.identify, intercom.identifyContacts);
+      assert.equal(intercom.headers()['Intercom-Version'], '2.1');
+    });
+
+    it('should keep the v1 mapper for a 1.x .apiVersion', function(){
+      settings.apiVersion = 1.4;
+      intercom = new Intercom(settings);
+      assert.equal(intercom.identify, intercom.identifyV1);
+    });
   });
 
   describe('mapper', function(){
@@ -780,6 +2159,23 @@ describe('Intercom V1', function(){
         test.maps('identify-company-remove-v1');
       });
 
+      it('should map the owner with .ownerTrait', function(){
+        settings.ownerTrait = 'account_manager_email';
+        settings.ownerAdmins = { 'jane@example.com': '814860' };
+        test.maps('identify-owner-v1');
+      });
+
+      it('should map the traits of the companies of the user with .traitMappings', function(){
+        settings.traitMappings = traitMappings;
+        test.maps('identify-trait-mappings-v1');
+      });
+
+      it('should only map attributes allowed by .attributeAllowlist and .attributeDenylist', function(){
+        settings.attributeAllowlist = ['id', 'plan', 'address.*'];
+        settings.attributeDenylist = ['*_internal', 'address.geo.*'];
+        test.maps('identify-attribute-filter-v1');
+      });
+
       it('should map phone', function(){
         test.maps('identify-phone');
       });
@@ -805,6 +2201,20 @@ describe('Intercom V1', function(){
       it('should map basic group', function(){
         test.maps('group-basic-v1');
       });
+
+      it('should map the owner of context.Intercom.ownerId', function(){
+        test.maps('group-owner-v1');
+      });
+
+      it('should rename and drop company traits with .traitMappings', function(){
+        settings.traitMappings = traitMappings;
+        test.maps('group-trait-mappings-v1');
+      });
+
+      it('should not map company attributes matching .attributeDenylist', function(){
+        settings.attributeDenylist = ['*_internal'];
+        test.maps('group-attribute-filter-v1');
+      });
     });
 
     describe('track', function(){
@@ -812,9 +2222,34 @@ describe('Intercom V1', function(){
         test.maps('track-basic-v1');
       });
 
-      it('should send Rich Link as nested object in metadata', function() {
-        settings.richLinkProperties = ['article'];
-        test.maps('track-rich-link-v1');
+      it('should send Rich Link as nested object in metadata', function() {
+        settings.richLinkProperties = ['article'];
+        test.maps('track-rich-link-v1');
+      });
+    });
+
+    describe('page', function(){
+      it('should map basic page', function(){
+        test.maps('page-basic');
+      });
+
+      it('should update last_request_at if updateLastRequestAt', function(){
+        settings.updateLastRequestAt = true;
+        test.maps('page-last-request-at');
+      });
+    });
+
+    describe('screen', function(){
+      it('should map basic screen', function(){
+        test.maps('screen-basic-v1');
+      });
+    });
+
+    describe('note', function(){
+      it('should map a note for .notesEvents', function(){
+        var json = test.fixture('track-note');
+        settings.notesEvents = { 'Refund Requested': '<p>{{event}}: {{properties.amount}} for {{properties.reason}}</p>' };
+        assert.deepEqual(mapperV1.note(new facade.Track(json.input), settings), json.output);
       });
     });
   });
@@ -1043,6 +2478,20 @@ describe('Intercom V1', function(){
       intercom.group(group, done);
     });
 
+    it('should remove the user from the company with context.Intercom.remove', function(done){
+      var json = test.fixture('group-remove-v1');
+      test
+        .set(settings)
+        .group(json.input)
+        .requests(2);
+
+      test
+        .request(1)
+        .sends(json.output)
+        .expects(200)
+        .end(done);
+    });
+
     it('should selectively stringify, flatten, or drop traits', function(done){
       var json = test.fixture('group-blacklist-v1');
 
@@ -1084,4 +2533,464 @@ describe('Intercom V1', function(){
         .end(done);
     });
   });
+
+  describe('.screen()', function(){
+    it('should track the screen', function(done){
+      var json = test.fixture('screen-basic-v1');
+
+      test
+        .set(settings)
+        .screen(json.input)
+        .sends(json.output)
+        .expects(202)
+        .end(done);
+    });
+  });
+
+  describe('.page()', function(){
+    it('should record the page view on the user', function(done){
+      var json = test.fixture('page-basic');
+
+      test
+        .set(settings)
+        .page(json.input)
+        .sends(json.output)
+        .expects(200)
+        .end(done);
+    });
+
+    it('should track the page if trackAllPages', function(done){
+      var json = test.fixture('page-last-request-at');
+      settings.updateLastRequestAt = true;
+      settings.trackAllPages = true;
+
+      var requests = test
+        .requests(2)
+        .set(settings)
+        .page(json.input);
+
+      requests
+        .request(0)
+        .sends(json.output)
+        .expects(200);
+
+      requests
+        .request(1)
+        .sends({
+          created: 1451606400,
+          event_name: 'Loaded a Page',
+          user_id: 'user-id',
+          email: 'hansolo@han.com',
+          metadata: {
+            url: 'https://segment.com/pricing',
+            email: 'hansolo@han.com'
+          }
+        })
+        .expects(202)
+        .end(done);
+    });
+
+    it('should add a note for .notesEvents of the page event under the lock of the page', function(done){
+      var json = test.fixture('page-last-request-at');
+      settings.trackAllPages = true;
+      settings.notesEvents = { 'Loaded a Page': '{{event}} {{properties.url}}' };
+
+      test
+        .requests(3)
+        .set(settings)
+        .page(json.input);
+
+      test
+        .request(2)
+        .pathname('/notes')
+        .sends({ user: { user_id: 'user-id' }, body: 'Loaded a Page https://segment.com/pricing' })
+        .expects(200)
+        .end(done);
+    });
+  });
+});
+
+describe('Intercom Contacts', function(){
+  var intercom;
+  var settings;
+  var test;
+  var db;
+
+  before(function(done){
+    db = redis.createClient();
+    db.on('ready', done);
+    db.on('error', done);
+  });
+
+  beforeEach(function(){
+    settings = {
+      appId: 'fcxywseo',
+      apiKey: '9d068fa090d38be4c715b669b3f1370f76ac5306',
+      oauth: {
+        'access-token': 'dG9rOjdjOTFmNDEyX2I1YWZfNDMwZF9hNDVlX2U2OWVlNzc5NTgyZToxOjA=' // Test-Han - Segment Friends
+      },
+      collectContext: false,
+      blacklisted: {
+        stringifyMe: 'stringify',
+        dropMe: 'drop',
+        flattenMe: 'flatten'
+      },
+      defaultMethod: 'flatten',
+      richLinkProperties: [],
+      useContactsAPI: true
+    };
+    intercom = new Intercom(settings);
+    // FIXME: temp hack to get around Intercom's rate limits
+    intercom.userAgent = 'not_segment';
+    test = Test(intercom, __dirname);
+    test.mapper(mapperContacts);
+    intercom.redis(db);
+  });
+
+  describe('.validate()', function(){
+    it('should be valid without .apiVersion', function(){
+      test.valid({ userId: '12345' }, settings);
+    });
+
+    it('should be valid with a 2.x .apiVersion', function(){
+      settings.apiVersion = '2.1';
+      test.valid({ userId: '12345' }, settings);
+    });
+
+    it('should be invalid with a 1.x .apiVersion', function(){
+      settings.apiVersion = '1.4';
+      test.invalid({ userId: '12345' }, settings);
+    });
+  });
+
+  describe('.headers()', function(){
+    it('should pin the Contacts API version', function(){
+      assert.equal(intercom.headers()['Intercom-Version'], '2.0');
+    });
+  });
+
+  describe('mapper', function(){
+    describe('identify', function(){
+      it('should map basic identify', function(){
+        test.maps('identify-basic-contacts');
+      });
+
+      it('should map the owner of context.Intercom.ownerId', function(){
+        test.maps('identify-owner-contacts');
+      });
+
+      it('should route contact traits to standard fields with .traitMappings', function(){
+        settings.traitMappings = traitMappings;
+        test.maps('identify-trait-mappings-contacts');
+      });
+
+      it('should only map attributes allowed by .attributeAllowlist and .attributeDenylist', function(){
+        settings.attributeAllowlist = ['id', 'plan', 'address.*'];
+        settings.attributeDenylist = ['*_internal', 'address.geo.*'];
+        test.maps('identify-attribute-filter-contacts');
+      });
+
+      it('should map a company', function(){
+        test.maps('identify-company-contacts');
+      });
+
+      it('should map companies with remove', function(){
+        test.maps('identify-companies-remove-contacts');
+      });
+
+      it('should map nested dates', function(){
+        test.maps('identify-nested-dates-contacts');
+      });
+
+      it('should map phone', function(){
+        test.maps('identify-phone-contacts');
+      });
+
+      it('should update unsubscribed_from_emails with unsubscribedFromEmails when supplied', function(){
+        test.maps('identify-unsubscribed-from-emails-contacts');
+      });
+
+      it('should map anonymous identify as a lead if createLeads', function(){
+        settings.createLeads = true;
+        test.maps('identify-lead-contacts');
+      });
+    });
+
+    describe('track', function(){
+      it('should map basic track', function(){
+        test.maps('track-basic-contacts');
+      });
+
+      it('should map anonymous track as an event of the lead if createLeads', function(){
+        var json = test.fixture('track-lead-contacts');
+        settings.createLeads = true;
+        var event = mapperContacts.leadEvent(new facade.Track(json.input), settings, 'lead-id');
+        assert.deepEqual(JSON.parse(JSON.stringify(event)), json.output);
+      });
+    });
+
+    describe('group', function(){
+      it('should map basic group', function(){
+        test.maps('group-basic-contacts');
+      });
+
+      it('should detach the contact with context.Intercom.remove', function(){
+        test.maps('group-remove-contacts');
+      });
+    });
+
+    describe('page', function(){
+      it('should map basic page', function(){
+        test.maps('page-basic-contacts');
+      });
+    });
+  });
+
+  describe('.identify()', function(){
+    it('should create the contact and update it afterwards', function(done){
+      var identify = helpers.identify({ userId: uid() });
+      intercom.identify(identify, function(err, res){
+        if (err) return done(err);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.external_id, identify.userId());
+        var contactId = res.body.id;
+        intercom.identify(identify, function(err, res){
+          if (err) return done(err);
+          assert.equal(res.body.id, contactId);
+          done();
+        });
+      });
+    });
+
+    it('should attach the contact to its company', function(done){
+      var identify = helpers.identify({ userId: uid(), traits: { company: 'Segment.io' } });
+      var requests = [];
+      intercom.on('request', function(req){
+        requests.push(req.url);
+      });
+      intercom.identify(identify, function(err, res){
+        if (err) return done(err);
+        assert(/\/contacts\/[^\/]+\/companies$/.test(requests[requests.length - 1]));
+        done();
+      });
+    });
+  });
+
+  describe('.track()', function(){
+    it('should submit an event for the contact', function(done){
+      var userId = uid();
+      intercom.identify(helpers.identify({ userId: userId }), function(err){
+        if (err) return done(err);
+        test
+          .set(settings)
+          .track(helpers.track({ userId: userId }))
+          .pathname('/events')
+          .expects(202)
+          .end(done);
+      });
+    });
+
+    it('should submit anonymous track as an event of the lead if createLeads', function(done){
+      var anonymousId = uid();
+      var events = [];
+      intercom.settings.createLeads = true;
+      intercom.on('request', function(req){
+        if (/\/events$/.test(req.url)) events.push(req._data);
+      });
+
+      intercom.identify(new facade.Identify({ anonymousId: anonymousId, traits: {} }), function(err, res){
+        if (err) return done(err);
+        var track = new facade.Track({ anonymousId: anonymousId, event: 'Viewed Pricing' });
+        intercom.track(track, function(err){
+          if (err) return done(err);
+          assert.equal(events.length, 1);
+          assert.equal(events[0].id, res.body.id);
+          assert(!events[0].hasOwnProperty('user_id'));
+          done();
+        });
+      });
+    });
+  });
+
+  describe('.group()', function(){
+    it('should attach the contact to the company of the group', function(done){
+      var userId = uid();
+      var requests = [];
+      intercom.identify(helpers.identify({ userId: userId }), function(err){
+        if (err) return done(err);
+        intercom.on('request', function(req){
+          requests.push(req.method + ' ' + req.url);
+        });
+        intercom.group(helpers.group({ userId: userId, groupId: uid() }), function(err){
+          if (err) return done(err);
+          assert(/^POST .*\/contacts\/[^\/]+\/companies$/.test(requests[requests.length - 1]));
+          done();
+        });
+      });
+    });
+  });
+
+  describe('.page()', function(){
+    it('should hold the lock until the page event is sent', function(done){
+      var unlock = intercom.unlock;
+      var calls = [];
+      intercom.settings.trackAllPages = true;
+      intercom.on('request', function(req){
+        calls.push(req.method + ' ' + req.url.replace(/^https?:\/\/[^\/]+/, ''));
+      });
+      intercom.unlock = function(key, fn){
+        calls.push('unlock');
+        unlock.call(this, key, fn);
+      };
+
+      intercom.page(helpers.page({ userId: uid() }), function(err){
+        if (err) return done(err);
+        assert.deepEqual(calls.slice(-2), ['POST /events', 'unlock']);
+        done();
+      });
+    });
+
+    it('should add a note for .notesEvents of the page event under the lock of the page', function(done){
+      var unlock = intercom.unlock;
+      var calls = [];
+      intercom.settings.trackAllPages = true;
+      intercom.settings.notesEvents = { 'Viewed Support Docs Page': '{{event}}' };
+      intercom.on('request', function(req){
+        calls.push(req.method + ' ' + req.url.replace(/^https?:\/\/[^\/]+/, '').replace(/^\/contacts\/[^\/]+\/notes$/, '/contacts/:id/notes'));
+      });
+      intercom.unlock = function(key, fn){
+        calls.push('unlock');
+        unlock.call(this, key, fn);
+      };
+
+      intercom.page(helpers.page({ userId: uid() }), function(err){
+        if (err) return done(err);
+        assert.deepEqual(calls.slice(-2), ['POST /contacts/:id/notes', 'unlock']);
+        done();
+      });
+    });
+  });
+
+  describe('.alias()', function(){
+    it('should do nothing if the visitor has no lead', function(done){
+      intercom.alias(new facade.Alias({ previousId: uid(), userId: uid() }), function(err, res){
+        if (err) return done(err);
+        assert.equal(res, undefined);
+        done();
+      });
+    });
+
+    it('should turn the lead into the user', function(done){
+      var anonymousId = uid();
+      var userId = uid();
+      intercom.settings.createLeads = true;
+      intercom.identify(new facade.Identify({ anonymousId: anonymousId, traits: {} }), function(err){
+        if (err) return done(err);
+        intercom.alias(new facade.Alias({ previousId: anonymousId, userId: userId }), function(err, res){
+          if (err) return done(err);
+          assert.equal(res.body.role, 'user');
+          assert.equal(res.body.external_id, userId);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('.delete()', function(){
+    it('should not error if the contact does not exist', function(done){
+      intercom.delete(new facade.Delete({ userId: uid() }), function(err, res){
+        if (err) return done(err);
+        assert.equal(res, undefined);
+        done();
+      });
+    });
+
+    it('should delete the contact', function(done){
+      var userId = uid();
+      intercom.identify(helpers.identify({ userId: userId }), function(err){
+        if (err) return done(err);
+        intercom.delete(new facade.Delete({ userId: userId }), function(err, res){
+          if (err) return done(err);
+          assert.equal(res.status, 200);
+          assert(res.body.deleted);
+          done();
+        });
+      });
+    });
+  });
+});
+
+describe('MemoryStore', function(){
+  var store;
+  beforeEach(function(){
+    store = new Intercom.MemoryStore({ sweepInterval: 10 });
+  });
+
+  it('should lock and unlock keys', function(done){
+    store.lock('key', 1000, function(err){
+      if (err) return done(err);
+      store.lock('key', 1000, function(err){
+        assert.equal(err.code, 'RESOURCE_LOCKED');
+        store.unlock('key', function(){
+          store.lock('key', 1000, done);
+        });
+      });
+    });
+  });
+
+  it('should expire keys', function(done){
+    store.set('key', 'value', 10, function(err){
+      if (err) return done(err);
+      setTimeout(function(){
+        store.get('key', function(err, value){
+          if (err) return done(err);
+          assert.equal(value, null);
+          done();
+        });
+      }, 20);
+    });
+  });
+
+  it('should compare and set keys', function(done){
+    store.cas('key', null, 'a', 1000, function(err, ok){
+      if (err) return done(err);
+      assert(ok);
+      store.cas('key', null, 'b', 1000, function(err, ok){
+        if (err) return done(err);
+        assert(!ok);
+        store.cas('key', 'a', 'b', 1000, function(err, ok){
+          if (err) return done(err);
+          assert(ok);
+          store.get('key', function(err, value){
+            if (err) return done(err);
+            assert.equal(value, 'b');
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should increment keys', function(done){
+    store.incr('key', 2, 1000, function(err, value){
+      if (err) return done(err);
+      assert.strictEqual(value, 2);
+      store.incr('key', -1, 1000, function(err, value){
+        if (err) return done(err);
+        assert.strictEqual(value, 1);
+        done();
+      });
+    });
+  });
+
+  it('should sweep expired keys', function(done){
+    store.set('key', 'value', 5, function(err){
+      if (err) return done(err);
+      setTimeout(function(){
+        assert.deepEqual(store.entries, {});
+        assert(!store.sweeper);
+        done();
+      }, 30);
+    });
+  });
 });